@@ -0,0 +1,227 @@
+import { maxPlaygrndLength, sidesField, fieldSides, holeField, goalReachable } from "./level.js";
+
+export function createRandom(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i += 1) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function grid(width, height, value) {
+  return Array.from({ length: width }, () => Array.from({ length: height }, () => value));
+}
+
+function carve(width, height, branching, random) {
+  const openRight = grid(width, height, false);
+  const openDown = grid(width, height, false);
+  const visited = grid(width, height, false);
+  const active = [{ x: 0, y: 0 }];
+  visited[0][0] = true;
+
+  while (active.length > 0) {
+    const index = random() < branching ? Math.floor(random() * active.length) : active.length - 1;
+    const { x, y } = active[index];
+    const options = [
+      { x: x + 1, y, open: () => (openRight[x][y] = true) },
+      { x: x - 1, y, open: () => (openRight[x - 1][y] = true) },
+      { x, y: y + 1, open: () => (openDown[x][y] = true) },
+      { x, y: y - 1, open: () => (openDown[x][y - 1] = true) },
+    ].filter((n) => n.x >= 0 && n.y >= 0 && n.x < width && n.y < height && !visited[n.x][n.y]);
+    if (options.length === 0) {
+      active.splice(index, 1);
+      continue;
+    }
+    const next = options[Math.floor(random() * options.length)];
+    next.open();
+    visited[next.x][next.y] = true;
+    active.push({ x: next.x, y: next.y });
+  }
+
+  for (let y = 0; y < height; y += 1) {
+    if (!openRight.some((column, x) => x < width - 1 && column[y])) {
+      openRight[Math.floor(random() * (width - 1))][y] = true;
+    }
+  }
+  for (let x = 0; x < width; x += 1) {
+    if (!openDown[x].some((open, y) => y < height - 1 && open)) {
+      openDown[x][Math.floor(random() * (height - 1))] = true;
+    }
+  }
+  return { openRight, openDown };
+}
+
+function assignWalls(width, height, openRight, openDown) {
+  const sides = Array.from({ length: width }, () =>
+    Array.from({ length: height }, () => ({ up: false, down: false, left: false, right: false }))
+  );
+  for (let y = 0; y < height; y += 1) {
+    let gap = 1;
+    while (!openRight[gap - 1][y]) {
+      gap += 1;
+    }
+    for (let edge = 0; edge <= width; edge += 1) {
+      const closed = edge === 0 || edge === width || !openRight[edge - 1][y];
+      if (closed && edge < gap) {
+        sides[edge][y].left = true;
+      } else if (closed) {
+        sides[edge - 1][y].right = true;
+      }
+    }
+  }
+  for (let x = 0; x < width; x += 1) {
+    let gap = 1;
+    while (!openDown[x][gap - 1]) {
+      gap += 1;
+    }
+    for (let edge = 0; edge <= height; edge += 1) {
+      const closed = edge === 0 || edge === height || !openDown[x][edge - 1];
+      if (closed && edge < gap) {
+        sides[x][edge].up = true;
+      } else if (closed) {
+        sides[x][edge - 1].down = true;
+      }
+    }
+  }
+  return sides.map((column) => column.map(sidesField));
+}
+
+function solutionPath(width, height, openRight, openDown, start) {
+  const parent = grid(width, height, null);
+  const distance = grid(width, height, -1);
+  const queue = [start];
+  distance[start.x][start.y] = 0;
+  let far = start;
+  for (let i = 0; i < queue.length; i += 1) {
+    const { x, y } = queue[i];
+    if (distance[x][y] > distance[far.x][far.y]) {
+      far = { x, y };
+    }
+    const next = [];
+    if (x + 1 < width && openRight[x][y]) next.push({ x: x + 1, y });
+    if (x > 0 && openRight[x - 1][y]) next.push({ x: x - 1, y });
+    if (y + 1 < height && openDown[x][y]) next.push({ x, y: y + 1 });
+    if (y > 0 && openDown[x][y - 1]) next.push({ x, y: y - 1 });
+    next.forEach((n) => {
+      if (distance[n.x][n.y] < 0) {
+        distance[n.x][n.y] = distance[x][y] + 1;
+        parent[n.x][n.y] = { x, y };
+        queue.push(n);
+      }
+    });
+  }
+  const path = [];
+  for (let cell = far; cell; cell = parent[cell.x][cell.y]) {
+    path.push(cell);
+  }
+  return path.reverse();
+}
+
+function shuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+const sideSteps = {
+  up: [0, -1, "down"],
+  down: [0, 1, "up"],
+  left: [-1, 0, "right"],
+  right: [1, 0, "left"],
+};
+
+function placeHole(cells, x, y) {
+  const sides = fieldSides(cells[x][y]);
+  const moved = [];
+  for (const side of Object.keys(sideSteps)) {
+    if (!sides[side]) {
+      continue;
+    }
+    const [dx, dy, opposite] = sideSteps[side];
+    const neighbour = cells[x + dx]?.[y + dy];
+    if (neighbour === undefined || holeField(neighbour)) {
+      return null;
+    }
+    const field = sidesField({ ...fieldSides(neighbour), [opposite]: true });
+    if (!field) {
+      return null;
+    }
+    moved.push([x + dx, y + dy, field]);
+  }
+  const undo = moved.map(([mx, my]) => [mx, my, cells[mx][my]]);
+  moved.forEach(([mx, my, field]) => {
+    cells[mx][my] = field;
+  });
+  undo.push([x, y, cells[x][y]]);
+  cells[x][y] = "*";
+  return undo;
+}
+
+function undoHole(cells, undo) {
+  undo.forEach(([x, y, field]) => {
+    cells[x][y] = field;
+  });
+}
+
+export function generateMaze(options = {}) {
+  const width = Math.max(2, Math.min(maxPlaygrndLength, Math.floor(options.width ?? 10)));
+  const height = Math.max(2, Math.min(maxPlaygrndLength, Math.floor(options.height ?? 10)));
+  const branching = Math.max(0, Math.min(1, options.branching ?? 0.3));
+  const holeDensity = Math.max(0, Math.min(1, options.holeDensity ?? 0.1));
+  const solvable = options.solvable ?? true;
+  const random = createRandom(options.seed ?? "");
+
+  const { openRight, openDown } = carve(width, height, branching, random);
+  const cells = assignWalls(width, height, openRight, openDown);
+  const start = { x: 0, y: 0 };
+  const path = solutionPath(width, height, openRight, openDown, start);
+  const goal = path[path.length - 1];
+  const onPath = grid(width, height, false);
+  path.forEach((cell) => {
+    onPath[cell.x][cell.y] = true;
+  });
+
+  const candidates = [];
+  for (let x = 0; x < width; x += 1) {
+    for (let y = 0; y < height; y += 1) {
+      const isEnd = (x === start.x && y === start.y) || (x === goal.x && y === goal.y);
+      if ((!solvable || !onPath[x][y]) && !isEnd) {
+        candidates.push({ x, y });
+      }
+    }
+  }
+  shuffle(candidates, random);
+
+  const level = { width, height, cells, start, goals: [goal], pathLength: path.length };
+  const target = Math.round(holeDensity * width * height);
+  const placed = [];
+  for (let i = 0; i < candidates.length && placed.length < target; i += 1) {
+    const undo = placeHole(cells, candidates[i].x, candidates[i].y);
+    if (undo) {
+      placed.push(undo);
+    }
+  }
+  if (solvable && !goalReachable(level, start, level.goals)) {
+    const retry = placed.reverse().map((undo) => {
+      undoHole(cells, undo);
+      return undo[undo.length - 1];
+    });
+    retry.reverse().forEach(([x, y]) => {
+      const undo = placeHole(cells, x, y);
+      if (undo && !goalReachable(level, start, level.goals)) {
+        undoHole(cells, undo);
+      }
+    });
+  }
+  return level;
+}
@@ -0,0 +1,34 @@
+export function shapeAxis(value, deadZone, curve) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadZone) {
+    return 0;
+  }
+  const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+  return Math.sign(value) * scaled ** curve;
+}
+
+export function shapeStick(x, y, deadZone, curve) {
+  const magnitude = Math.sqrt(x * x + y * y);
+  const shaped = shapeAxis(magnitude, deadZone, curve);
+  if (shaped === 0) {
+    return { x: 0, y: 0 };
+  }
+  return { x: (x / magnitude) * shaped, y: (y / magnitude) * shaped };
+}
+
+export function approach(value, target, dt, timeConstant) {
+  return target + (value - target) * Math.exp(-dt / timeConstant);
+}
+
+export function screenTilt(beta, gamma, orientation) {
+  switch (((orientation % 360) + 360) % 360) {
+    case 90:
+      return { x: beta, y: -gamma };
+    case 180:
+      return { x: -gamma, y: -beta };
+    case 270:
+      return { x: -beta, y: gamma };
+    default:
+      return { x: gamma, y: beta };
+  }
+}
@@ -0,0 +1,714 @@
+export const maxPlaygrndLength = 128;
+
+export const plateLength = 1.0;
+export const wallWidth = 0.25 * plateLength;
+export const holeRad = 0.4 * plateLength;
+export const ballRad = 0.25 * plateLength;
+export const pillarRad = 0.15 * plateLength;
+
+const reachSteps = 8;
+
+const curveCorners = {
+  f: { x: 1, z: 1, sx: -1, sz: -1 },
+  g: { x: 1, z: 0, sx: -1, sz: 1 },
+  h: { x: 0, z: 1, sx: 1, sz: -1 },
+  i: { x: 0, z: 0, sx: 1, sz: 1 },
+};
+
+export const surfaceMarkers = { I: "ice", N: "sand", P: "carpet", B: "bumper" };
+export const channelMarkers = ["X", "D", "T"];
+export const teleportExits = ["^", "v", "<", ">"];
+
+export function validField(field) {
+  return (
+    field === "." ||
+    field === "*" ||
+    field === "+" ||
+    field === " " ||
+    field === "u" ||
+    field === "d" ||
+    field === "l" ||
+    field === "r" ||
+    field === "a" ||
+    field === "b" ||
+    field === "c" ||
+    field === "e" ||
+    Object.hasOwn(curveCorners, field) ||
+    field === "/" ||
+    field === "\\" ||
+    field === "o"
+  );
+}
+
+export function markerField(field) {
+  return (
+    field === "S" ||
+    field === "G" ||
+    field === "C" ||
+    field === "K" ||
+    channelMarkers.includes(field) ||
+    Object.hasOwn(surfaceMarkers, field)
+  );
+}
+
+export function surfaceMarker(surface) {
+  return Object.keys(surfaceMarkers).find((marker) => surfaceMarkers[marker] === surface) ?? "";
+}
+
+export function holeField(field) {
+  return field === "*" || field === "+";
+}
+
+export function levelLayers(level) {
+  return level.layers ?? 1;
+}
+
+export function layerRows(level) {
+  return level.layerHeight ?? level.height;
+}
+
+export function rowLayer(level, y) {
+  const rows = layerRows(level);
+  return rows > 0 ? Math.min(levelLayers(level) - 1, Math.max(0, Math.floor(y / rows))) : 0;
+}
+
+export function rowLine(level, y) {
+  return y + 1 + rowLayer(level, y);
+}
+
+export function fieldSides(field) {
+  switch (field) {
+    case "u":
+      return { up: true, down: false, left: false, right: false };
+    case "d":
+      return { up: false, down: true, left: false, right: false };
+    case "l":
+      return { up: false, down: false, left: true, right: false };
+    case "r":
+      return { up: false, down: false, left: false, right: true };
+    case "a":
+      return { up: true, down: false, left: true, right: false };
+    case "b":
+      return { up: false, down: true, left: true, right: false };
+    case "c":
+      return { up: true, down: false, left: false, right: true };
+    case "e":
+      return { up: false, down: true, left: false, right: true };
+    default:
+      return { up: false, down: false, left: false, right: false };
+  }
+}
+
+export function sidesField(sides) {
+  const key = `${sides.up ? "u" : ""}${sides.down ? "d" : ""}${sides.left ? "l" : ""}${sides.right ? "r" : ""}`;
+  switch (key) {
+    case "":
+      return ".";
+    case "u":
+    case "d":
+    case "l":
+    case "r":
+      return key;
+    case "ul":
+      return "a";
+    case "dl":
+      return "b";
+    case "ur":
+      return "c";
+    case "dr":
+      return "e";
+    default:
+      return null;
+  }
+}
+
+export function fieldWalls(field) {
+  const sides = fieldSides(field);
+  const walls = [];
+  if (sides.up) {
+    walls.push({ x0: 0, z0: 0, x1: plateLength, z1: wallWidth });
+  }
+  if (sides.down) {
+    walls.push({ x0: 0, z0: plateLength - wallWidth, x1: plateLength, z1: plateLength });
+  }
+  if (sides.left) {
+    walls.push({ x0: 0, z0: 0, x1: wallWidth, z1: plateLength });
+  }
+  if (sides.right) {
+    walls.push({ x0: plateLength - wallWidth, z0: 0, x1: plateLength, z1: plateLength });
+  }
+  return walls;
+}
+
+export function fieldShapes(field) {
+  const curve = curveCorners[field];
+  if (curve) {
+    return [
+      {
+        type: "arc",
+        x: curve.x * plateLength,
+        z: curve.z * plateLength,
+        sx: curve.sx,
+        sz: curve.sz,
+        arcRadius: plateLength - wallWidth / 2,
+        radius: wallWidth / 2,
+      },
+    ];
+  }
+  switch (field) {
+    case "/":
+      return [{ type: "segment", x0: 0, z0: plateLength, x1: plateLength, z1: 0, radius: wallWidth / 2 }];
+    case "\\":
+      return [{ type: "segment", x0: 0, z0: 0, x1: plateLength, z1: plateLength, radius: wallWidth / 2 }];
+    case "o":
+      return [{ type: "circle", x: plateLength / 2, z: plateLength / 2, radius: pillarRad }];
+    default:
+      return [];
+  }
+}
+
+export function offsetShape(shape, dx, dz) {
+  switch (shape.type) {
+    case "segment":
+      return { ...shape, x0: shape.x0 + dx, z0: shape.z0 + dz, x1: shape.x1 + dx, z1: shape.z1 + dz };
+    default:
+      return { ...shape, x: shape.x + dx, z: shape.z + dz };
+  }
+}
+
+export function shapeNearest(shape, x, z) {
+  switch (shape.type) {
+    case "segment": {
+      const dx = shape.x1 - shape.x0;
+      const dz = shape.z1 - shape.z0;
+      const t = Math.min(1, Math.max(0, ((x - shape.x0) * dx + (z - shape.z0) * dz) / (dx * dx + dz * dz)));
+      return { x: shape.x0 + dx * t, z: shape.z0 + dz * t };
+    }
+    case "arc": {
+      const dx = x - shape.x;
+      const dz = z - shape.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dx * shape.sx >= 0 && dz * shape.sz >= 0 && dist > 0) {
+        return { x: shape.x + (dx / dist) * shape.arcRadius, z: shape.z + (dz / dist) * shape.arcRadius };
+      }
+      const endX = { x: shape.x + shape.sx * shape.arcRadius, z: shape.z };
+      const endZ = { x: shape.x, z: shape.z + shape.sz * shape.arcRadius };
+      const distX = (x - endX.x) ** 2 + (z - endX.z) ** 2;
+      const distZ = (x - endZ.x) ** 2 + (z - endZ.z) ** 2;
+      return distX <= distZ ? endX : endZ;
+    }
+    default:
+      return { x: shape.x, z: shape.z };
+  }
+}
+
+export function shapeDistance(shape, x, z) {
+  const near = shapeNearest(shape, x, z);
+  return Math.sqrt((x - near.x) ** 2 + (z - near.z) ** 2) - shape.radius;
+}
+
+export function fieldCollision(field, x, z) {
+  return (
+    fieldWalls(field).some((w) => x >= w.x0 && x <= w.x1 && z >= w.z0 && z <= w.z1) ||
+    fieldShapes(field).some((shape) => shapeDistance(shape, x, z) <= 0)
+  );
+}
+
+export function fieldHole(field, x, z) {
+  if (!holeField(field)) {
+    return false;
+  }
+  const dx = plateLength / 2 - x;
+  const dz = plateLength / 2 - z;
+  return Math.sqrt(dx * dx + dz * dz) < holeRad;
+}
+
+export function parseLevel(text) {
+  const rows = [];
+  const errors = [];
+  const warnings = [];
+  let row = [];
+  let surfaceRow = [];
+  const surfaceRows = [];
+  let markers = [];
+  let markerColumn = 0;
+  const starts = [];
+  const goals = [];
+  const checkpoints = [];
+  const keys = [];
+  const switches = [];
+  const doors = [];
+  const teleporters = [];
+  const layerBreaks = [];
+  let line = 1;
+  let column = 0;
+
+  const endRow = () => {
+    if (markers.length > 0) {
+      errors.push({ line, column: markerColumn, message: `Marker '${markers.join("")}' without field` });
+      markers = [];
+    }
+    if (row.length > maxPlaygrndLength) {
+      errors.push({
+        line,
+        column: maxPlaygrndLength + 1,
+        message: `Row has ${row.length} fields, more than ${maxPlaygrndLength}`,
+      });
+    }
+    rows.push(row);
+    surfaceRows.push(surfaceRow);
+    row = [];
+    surfaceRow = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "\n") {
+      endRow();
+      line += 1;
+      column = 0;
+      continue;
+    }
+    if (ch === "\r") {
+      continue;
+    }
+    if (ch === "=" && column === 0) {
+      layerBreaks.push({ row: rows.length, line });
+      while (i + 1 < text.length && text[i + 1] !== "\n") {
+        i += 1;
+      }
+      i += 1;
+      line += 1;
+      continue;
+    }
+    column += 1;
+    if (markerField(ch)) {
+      let marker = ch;
+      const markerStart = column;
+      if (channelMarkers.includes(ch)) {
+        const digit = text[i + 1];
+        if (!(digit >= "0" && digit <= "9")) {
+          errors.push({ line, column, message: `Marker '${ch}' without channel digit` });
+          continue;
+        }
+        marker += digit;
+        i += 1;
+        column += 1;
+        if (ch === "T" && teleportExits.includes(text[i + 1])) {
+          marker += text[i + 1];
+          i += 1;
+          column += 1;
+        }
+      }
+      if (markers.some((m) => m[0] === ch)) {
+        errors.push({ line, column: markerStart, message: `Duplicate marker '${ch}'` });
+      } else {
+        if (markers.length === 0) {
+          markerColumn = markerStart;
+        }
+        markers.push(marker);
+      }
+    } else if (validField(ch)) {
+      const x = row.length;
+      const y = rows.length;
+      if (markers.includes("S")) {
+        starts.push({ x, y });
+      }
+      if (markers.includes("G")) {
+        goals.push({ x, y });
+      }
+      if (markers.includes("C")) {
+        checkpoints.push({ x, y });
+      }
+      markers.forEach((marker) => {
+        const channel = Number(marker[1]);
+        if (marker === "K") {
+          keys.push({ x, y });
+        } else if (marker[0] === "X") {
+          switches.push({ x, y, channel });
+        } else if (marker[0] === "D") {
+          doors.push({ x, y, channel });
+        } else if (marker[0] === "T") {
+          teleporters.push({ x, y, channel, exit: marker[2] ?? "" });
+        }
+      });
+      const surfaces = markers.filter((marker) => Object.hasOwn(surfaceMarkers, marker));
+      if (surfaces.length > 1) {
+        errors.push({ line, column: markerColumn, message: `Conflicting surface markers '${surfaces.join("")}'` });
+      }
+      const wallMarkers = markers.filter((marker) => marker[0] === "D" || marker === "B");
+      if (holeField(ch) && wallMarkers.length > 0) {
+        errors.push({
+          line,
+          column: markerColumn,
+          message: `Wall marker '${wallMarkers.join("")}' on hole field '${ch}'`,
+        });
+      }
+      markers = [];
+      row.push(ch);
+      surfaceRow.push(surfaceMarkers[surfaces[0]] ?? "");
+    } else {
+      errors.push({ line, column, message: `Invalid char '${ch}'` });
+    }
+  }
+  if (row.length > 0 || markers.length > 0) {
+    endRow();
+  }
+  if (rows.length > maxPlaygrndLength) {
+    errors.push({
+      line: maxPlaygrndLength + 1,
+      column: 1,
+      message: `Level has ${rows.length} rows, more than ${maxPlaygrndLength}`,
+    });
+  }
+
+  const width = Math.min(maxPlaygrndLength, Math.max(0, ...rows.map((r) => r.length)));
+  const height = Math.min(maxPlaygrndLength, rows.length);
+  const layerHeight = layerBreaks[0]?.row ?? height;
+  let layers = layerBreaks.length + 1;
+  layerBreaks.forEach((layerBreak, index) => {
+    const rowCount = (layerBreaks[index + 1]?.row ?? rows.length) - layerBreak.row;
+    if (rowCount !== layerHeight) {
+      errors.push({
+        line: layerBreak.line,
+        column: 1,
+        message: `Layer ${index + 2} has ${rowCount} rows, expected ${layerHeight}`,
+      });
+      layers = 1;
+    }
+  });
+  const level = { layers, layerHeight: layers > 1 ? layerHeight : height };
+  rows.forEach((r, y) => {
+    if (r.length !== width && y < height) {
+      warnings.push({
+        line: rowLine(level, y),
+        column: r.length + 1,
+        message: `Ragged row: ${r.length} fields, expected ${width}`,
+      });
+    }
+  });
+
+  teleporters.forEach((teleporter) => {
+    const ends = teleporters.filter((other) => other.channel === teleporter.channel);
+    if (ends.length !== 2 && ends[0] === teleporter) {
+      errors.push({
+        line: rowLine(level, teleporter.y),
+        column: teleporter.x + 1,
+        message: `Teleporter channel ${teleporter.channel} has ${ends.length} end(s), expected 2`,
+      });
+    }
+  });
+
+  const cells = Array.from({ length: width }, (_, x) =>
+    Array.from({ length: height }, (_, y) => rows[y][x] ?? " ")
+  );
+  const surfaces = Array.from({ length: width }, (_, x) =>
+    Array.from({ length: height }, (_, y) => surfaceRows[y][x] ?? "")
+  );
+  return {
+    width,
+    height,
+    ...level,
+    cells,
+    surfaces,
+    start: starts[0] ?? null,
+    starts,
+    goals,
+    checkpoints,
+    keys,
+    switches,
+    doors,
+    teleporters,
+    errors,
+    warnings,
+  };
+}
+
+function linkMarkers(level, x, y) {
+  const at = (item) => item.x === x && item.y === y;
+  const switchCell = level.switches?.find(at);
+  const door = level.doors?.find(at);
+  const teleporter = level.teleporters?.find(at);
+  return (
+    (level.keys?.some(at) ? "K" : "") +
+    (switchCell ? `X${switchCell.channel}` : "") +
+    (door ? `D${door.channel}` : "") +
+    (teleporter ? `T${teleporter.channel}${teleporter.exit}` : "")
+  );
+}
+
+export function serializeLevel(level) {
+  const lines = [];
+  for (let y = 0; y < level.height; y += 1) {
+    if (y > 0 && rowLayer(level, y) !== rowLayer(level, y - 1)) {
+      lines.push("=");
+    }
+    let line = "";
+    for (let x = 0; x < level.width; x += 1) {
+      if ((level.starts ?? [level.start]).some((start) => start && start.x === x && start.y === y)) {
+        line += "S";
+      }
+      if (level.goals.some((goal) => goal.x === x && goal.y === y)) {
+        line += "G";
+      }
+      if (level.checkpoints?.some((checkpoint) => checkpoint.x === x && checkpoint.y === y)) {
+        line += "C";
+      }
+      line += surfaceMarker(level.surfaces?.[x]?.[y] ?? "");
+      line += linkMarkers(level, x, y);
+      line += level.cells[x][y];
+    }
+    lines.push(line);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function cellPos(pos) {
+  if (!Array.isArray(pos) || pos.length < 2) {
+    return null;
+  }
+  return { x: Math.floor(pos[0]), y: Math.floor(pos[1]) };
+}
+
+export function resolveLevel(level, entry = {}) {
+  const errors = [];
+  const entryStarts = Array.isArray(entry.starts) ? entry.starts.map(cellPos).filter(Boolean) : [];
+  let starts = entryStarts.length > 0 ? entryStarts : level.starts ?? [];
+  if (cellPos(entry.start)) {
+    starts = [cellPos(entry.start), ...starts.slice(1)];
+  }
+  if (starts.length === 0) {
+    starts = [{ x: 0, y: 0 }];
+  }
+  const entryGoals = Array.isArray(entry.goals) ? entry.goals.map(cellPos).filter(Boolean) : [];
+  let goals = entryGoals.length > 0 ? entryGoals : level.goals;
+  if (goals.length === 0) {
+    goals = [{ x: level.width - 1, y: level.height - 1 }];
+  }
+  const checkpoints = Array.isArray(entry.checkpoints)
+    ? entry.checkpoints.map(cellPos).filter(Boolean)
+    : level.checkpoints ?? [];
+  const inside = (pos) => pos.x >= 0 && pos.y >= 0 && pos.x < level.width && pos.y < level.height;
+  starts.forEach((start) => {
+    if (!inside(start)) {
+      errors.push({ line: 0, column: 0, message: `Start cell ${start.x},${start.y} outside the level` });
+    }
+  });
+  const ballsNeeded = entry.balls ?? null;
+  if (ballsNeeded !== null && !(Number.isInteger(ballsNeeded) && ballsNeeded >= 1 && ballsNeeded <= starts.length)) {
+    errors.push({ line: 0, column: 0, message: `Level needs ${ballsNeeded} ball(s) but starts ${starts.length}` });
+  }
+  goals.forEach((goal) => {
+    if (!inside(goal)) {
+      errors.push({ line: 0, column: 0, message: `Goal cell ${goal.x},${goal.y} outside the level` });
+    }
+  });
+  checkpoints.forEach((checkpoint) => {
+    if (!inside(checkpoint)) {
+      errors.push({
+        line: 0,
+        column: 0,
+        message: `Checkpoint cell ${checkpoint.x},${checkpoint.y} outside the level`,
+      });
+    }
+  });
+  return { start: starts[0], starts, goals, checkpoints, ballsNeeded, errors };
+}
+
+export function checkWalls(level) {
+  const warnings = [];
+  const field = (x, y) => level.cells[x]?.[y] ?? " ";
+  for (let x = 0; x < level.width; x += 1) {
+    for (let y = 0; y < level.height; y += 1) {
+      const sides = fieldSides(field(x, y));
+      if (x + 1 < level.width && sides.right && fieldSides(field(x + 1, y)).left) {
+        warnings.push({ line: rowLine(level, y), column: x + 1, message: "Double wall with the right neighbour" });
+      }
+      const sameLayer = rowLayer(level, y + 1) === rowLayer(level, y);
+      if (y + 1 < level.height && sameLayer && sides.down && fieldSides(field(x, y + 1)).up) {
+        warnings.push({ line: rowLine(level, y), column: x + 1, message: "Double wall with the lower neighbour" });
+      }
+    }
+  }
+  return warnings;
+}
+
+function ballBlocked(level, x, z) {
+  const ix = Math.floor(x / plateLength);
+  const iz = Math.floor(z / plateLength);
+  for (let cx = ix - 1; cx <= ix + 1; cx += 1) {
+    for (let cz = iz - 1; cz <= iz + 1; cz += 1) {
+      const field = level.cells[cx]?.[cz] ?? " ";
+      if (rowLayer(level, cz) !== rowLayer(level, iz) || level.doors?.some((door) => door.x === cx && door.y === cz)) {
+        continue;
+      }
+      for (const shape of fieldShapes(field)) {
+        if (shapeDistance(shape, x - cx * plateLength, z - cz * plateLength) < ballRad) {
+          return true;
+        }
+      }
+      for (const w of fieldWalls(field)) {
+        const nearX = Math.min(Math.max(x, cx * plateLength + w.x0), cx * plateLength + w.x1);
+        const nearZ = Math.min(Math.max(z, cz * plateLength + w.z0), cz * plateLength + w.z1);
+        const dx = x - nearX;
+        const dz = z - nearZ;
+        if (dx * dx + dz * dz < ballRad * ballRad) {
+          return true;
+        }
+      }
+    }
+  }
+  const field = level.cells[ix]?.[iz] ?? " ";
+  return fieldHole(field, x - ix * plateLength, z - iz * plateLength);
+}
+
+export function goalReachable(level, start, goals) {
+  const step = plateLength / reachSteps;
+  const sizeX = level.width * reachSteps;
+  const sizeZ = level.height * reachSteps;
+  const layerSteps = layerRows(level) * reachSteps;
+  const minI = Math.ceil(ballRad / step);
+  const free = (i, k) =>
+    i >= minI &&
+    k % layerSteps >= minI &&
+    i <= sizeX - minI &&
+    k % layerSteps <= layerSteps - minI &&
+    !ballBlocked(level, i * step, k * step);
+  const dropsBelow = (i, k) => {
+    const ix = Math.floor((i * step) / plateLength);
+    const iz = Math.floor((k * step) / plateLength);
+    const field = level.cells[ix]?.[iz] ?? " ";
+    return (
+      field === "+" &&
+      rowLayer(level, iz) < levelLayers(level) - 1 &&
+      fieldHole(field, i * step - ix * plateLength, k * step - iz * plateLength)
+    );
+  };
+  const cellKey = (i, k) => `${Math.floor((i * step) / plateLength)},${Math.floor((k * step) / plateLength)}`;
+  const keys = level.keys ?? [];
+  const teleports = new Map();
+  (level.teleporters ?? []).forEach((teleporter) => {
+    const partner = level.teleporters.find((other) => other !== teleporter && other.channel === teleporter.channel);
+    if (partner) {
+      teleports.set(`${teleporter.x},${teleporter.y}`, [
+        partner.x * reachSteps + reachSteps / 2,
+        partner.y * reachSteps + reachSteps / 2,
+      ]);
+    }
+  });
+  const reached = new Set();
+  const wasReached = (cell) => reached.has(`${cell.x},${cell.y}`);
+
+  const startI = start.x * reachSteps + reachSteps / 2;
+  const startK = start.y * reachSteps + reachSteps / 2;
+  if (!free(startI, startK)) {
+    return false;
+  }
+  const seen = new Uint8Array((sizeX + 1) * (sizeZ + 1));
+  const queue = [[startI, startK]];
+  seen[startK * (sizeX + 1) + startI] = 1;
+  while (queue.length > 0) {
+    const [i, k] = queue.pop();
+    const cell = cellKey(i, k);
+    reached.add(cell);
+    if (keys.length === 0 && goals.some(wasReached)) {
+      return true;
+    }
+    const next = [
+      [i + 1, k],
+      [i - 1, k],
+      [i, k + 1],
+      [i, k - 1],
+    ];
+    if (teleports.has(cell)) {
+      next.push(teleports.get(cell));
+    }
+    for (const [ni, nk] of next) {
+      const index = nk * (sizeX + 1) + ni;
+      if (ni < 0 || nk < 0 || ni > sizeX || nk > sizeZ || seen[index]) {
+        continue;
+      }
+      seen[index] = 1;
+      if (free(ni, nk)) {
+        queue.push([ni, nk]);
+      } else if (dropsBelow(ni, nk)) {
+        next.push([ni, nk + layerSteps]);
+      }
+    }
+  }
+  return goals.some(wasReached) && keys.every(wasReached);
+}
+
+export function validateLevel(text, entry = {}) {
+  const level = parseLevel(text);
+  const errors = [...level.errors];
+  const warnings = [...level.warnings, ...checkWalls(level)];
+  if (level.width === 0 || level.height === 0) {
+    errors.push({ line: 1, column: 1, message: "Empty level" });
+    return { level, errors, warnings };
+  }
+  const resolved = resolveLevel(level, entry);
+  errors.push(...resolved.errors);
+  resolved.checkpoints.forEach((checkpoint) => {
+    if (holeField(level.cells[checkpoint.x]?.[checkpoint.y])) {
+      warnings.push({
+        line: rowLine(level, checkpoint.y),
+        column: checkpoint.x + 1,
+        message: "Checkpoint on a hole field",
+      });
+    }
+  });
+  for (let x = 0; x < level.width; x += 1) {
+    for (let y = 0; y < level.height; y += 1) {
+      if (level.surfaces[x][y] && holeField(level.cells[x][y])) {
+        warnings.push({ line: rowLine(level, y), column: x + 1, message: "Surface on a hole field" });
+      }
+      if (level.cells[x][y] === "+" && rowLayer(level, y) === levelLayers(level) - 1) {
+        warnings.push({ line: rowLine(level, y), column: x + 1, message: "Drop hole on the bottom layer" });
+      }
+    }
+  }
+  [
+    ["Key", level.keys],
+    ["Switch", level.switches],
+    ["Teleporter", level.teleporters],
+  ].forEach(([name, items]) => {
+    items.forEach((item) => {
+      if (holeField(level.cells[item.x][item.y])) {
+        warnings.push({ line: rowLine(level, item.y), column: item.x + 1, message: `${name} on a hole field` });
+      }
+    });
+  });
+  level.doors.forEach((door) => {
+    const field = level.cells[door.x][door.y];
+    if (fieldWalls(field).length === 0 && fieldShapes(field).length === 0) {
+      warnings.push({ line: rowLine(level, door.y), column: door.x + 1, message: "Door on a field without walls" });
+    }
+    if (!level.switches.some((switchCell) => switchCell.channel === door.channel)) {
+      warnings.push({
+        line: rowLine(level, door.y),
+        column: door.x + 1,
+        message: `No switch for door channel ${door.channel}`,
+      });
+    }
+  });
+  level.switches.forEach((switchCell) => {
+    if (!level.doors.some((door) => door.channel === switchCell.channel)) {
+      warnings.push({
+        line: rowLine(level, switchCell.y),
+        column: switchCell.x + 1,
+        message: `No door for switch channel ${switchCell.channel}`,
+      });
+    }
+  });
+  if (errors.length === 0) {
+    const needed = resolved.ballsNeeded ?? resolved.starts.length;
+    const reaching = resolved.starts.filter((start) => goalReachable(level, start, resolved.goals)).length;
+    if (reaching === 0) {
+      errors.push({ line: 0, column: 0, message: "No goal is reachable from the start" });
+    } else if (reaching < needed) {
+      errors.push({ line: 0, column: 0, message: `Only ${reaching} of ${needed} needed balls can reach a goal` });
+    }
+  }
+  return { level, errors, warnings };
+}
@@ -1,24 +1,98 @@
 import * as THREE from "https://unpkg.com/three@0.158.0/build/three.module.js";
+import {
+  maxPlaygrndLength,
+  plateLength,
+  wallWidth,
+  holeRad,
+  ballRad,
+  fieldWalls,
+  fieldShapes,
+  fieldSides,
+  sidesField,
+  holeField,
+  rowLayer,
+  parseLevel,
+  resolveLevel,
+  serializeLevel,
+} from "./level.js";
+import { generateMaze } from "./generator.js";
+import {
+  createSim,
+  setLevel,
+  loadLevelText,
+  resetBall,
+  leadBall,
+  ballsToWin,
+  startLevel,
+  clearCheckpoints,
+  resetLinks,
+  channelCount,
+  checkpointIndex,
+  isGoalCell,
+  stepSim,
+  updateSim,
+  pauseSim,
+  resumeSim,
+  dropProgress,
+  landingProgress,
+  ballLayer,
+} from "./sim.js";
+import {
+  createRecording,
+  recordTick,
+  finishRecording,
+  recordedInput,
+  recordingKey,
+  recordingTime,
+  ballCell,
+  traceRecording,
+  replayEntry,
+  applyRecordingPhysics,
+  serializeRecording,
+  parseRecording,
+} from "./replay.js";
+import {
+  loadProgress,
+  saveProgress,
+  packProgress,
+  levelRecord,
+  isUnlocked,
+  recordCompletion,
+  ghostFromTrace,
+  loadGhosts,
+  saveGhosts,
+} from "./progress.js";
+import { loadSettings, saveSettings, queryOverrides } from "./settings.js";
+import { shapeAxis, shapeStick, approach, screenTilt } from "./input.js";
 
-const maxPlaygrndLength = 128;
 const maxAngle = 20;
-const levelPeriod = 120;
-const aniStep = 25;
+const stepRate = 120;
+const maxFrameTime = 0.25;
+const padDeadZone = 0.15;
+const padCurve = 2;
+const joystickRadius = 60;
+const touchDeadZone = 0.1;
+const touchCurve = 1.5;
+const doubleTapTime = 300;
+const mouseScale = 0.1;
+const keyEaseTime = 0.3;
+const springDelay = 0.5;
+const springTime = 0.8;
+const doorTime = 0.15;
+const tiltRange = 40;
+const tiltDeadZone = 1.5;
+const tiltFilterTime = 0.12;
+const calibrateTime = 2;
+const calibrateTolerance = 3;
+const layerFollowTime = 0.25;
+const levelPackFile = "levels.json";
 
-const plateLength = 1.0;
 const plateHeight = 0.3 * plateLength;
 const wallHeight = 0.25 * plateLength;
-const wallWidth = 0.25 * plateLength;
-const holeRad = 0.4 * plateLength;
 const subdiv = 20;
-const ballRad = 0.25 * plateLength;
 
-const StopMoving = 0.01;
-const StopSpeed = 0.01;
 const frameBottomDrop = plateHeight * 6.0;
-const rollDuration = 0.35;
-const fallDuration = 0.8;
-const fallEndWait = 3.0;
+const layerGap = plateHeight * 5;
 const fallDepth = plateHeight * 4 + ballRad * 2;
 
 const state = {
@@ -31,57 +105,116 @@ const state = {
   angleX: 0,
   angleY: 0,
   angleZ: 0,
-  ballX: 0,
   ballY: plateHeight + ballRad,
-  ballZ: 0,
-  ballSpeedX: 0,
-  ballSpeedZ: 0,
-  ballAccX: 0,
-  ballAccZ: 0,
-  gravity: 9.81,
-  wallBrake: 0.6,
-  rubbing: 0.0005,
-  falling: false,
-  fallPhase: "roll",
-  fallStart: 0,
-  fallStartY: 0,
-  fallLockX: 0,
-  fallLockZ: 0,
-  rollFromX: 0,
-  rollFromZ: 0,
-  rollTargetX: 0,
-  rollTargetZ: 0,
-  fallWorldX: 0,
-  fallWorldZ: 0,
-  fallWorldStartY: 0,
-  fallWorldY: 0,
+  renderX: 0,
+  renderZ: 0,
+  cameraY: 0,
+  editLayer: 0,
+  stepRate: stepRate,
   level: 0,
-  levelTime: 0,
-  levelStart: 0,
+  levelTitle: "",
+  levelPhysics: {},
+  pack: null,
+  endless: false,
+  seed: "",
   fovy: 65,
-  playgroundX: 0,
-  playgroundY: 0,
-  playground: Array.from({ length: maxPlaygrndLength }, () =>
-    Array.from({ length: maxPlaygrndLength }, () => " ")
-  ),
   moveBoard: false,
   mouseSensity: 1,
+  invertMouseX: false,
+  invertMouseY: false,
+  springReturn: false,
+  keys: new Set(),
+  keyAxisX: 0,
+  keyAxisY: 0,
+  keyTilting: false,
+  lastInputTime: 0,
   tiltEnabled: false,
   tiltBaseline: { beta: 0, gamma: 0 },
   lastTilt: { beta: 0, gamma: 0 },
-  stopped: false,
+  tiltCurve: 1,
+  tiltFiltered: { x: 0, y: 0 },
+  tiltTime: null,
+  calibration: null,
+  padTilting: false,
+  padButtons: [],
+  joystick: null,
+  pinch: null,
+  lastTap: 0,
+  mode: "menu",
+  resumeMode: "playing",
+  editorReturn: "menu",
+  editorCamera: null,
+  message: "",
+  playTest: false,
+  editPainting: false,
+  editGoalAdd: true,
+  editCheckpointAdd: true,
+  editStartAdd: true,
+  editLinkAdd: true,
+  lives: 3,
+  maxLives: 3,
+  recording: null,
+  lastRecording: null,
+  replay: null,
+  replayTick: 0,
+  runTick: 0,
+  ghosts: {},
+  ghost: null,
+  split: null,
+  splitCells: new Set(),
+  progress: null,
+  packFile: levelPackFile,
+  physicsOverride: {},
+  debug: false,
+  fps: 0,
 };
 
+const sim = createSim({ now: () => performance.now() / 1000 });
+
 const ui = {
   toggleCam: document.getElementById("toggleCam"),
   gravity: document.getElementById("gravity"),
   elasticity: document.getElementById("elasticity"),
   rubbing: document.getElementById("rubbing"),
   mouseSensity: document.getElementById("mouseSensity"),
+  invertMouseX: document.getElementById("invertMouseX"),
+  invertMouseY: document.getElementById("invertMouseY"),
+  springReturn: document.getElementById("springReturn"),
+  stepRate: document.getElementById("stepRate"),
+  lives: document.getElementById("lives"),
   enableTilt: document.getElementById("enableTilt"),
   calibrateTilt: document.getElementById("calibrateTilt"),
+  tiltCurve: document.getElementById("tiltCurve"),
   exitGame: document.getElementById("exitGame"),
   panel: document.getElementById("ui"),
+  seed: document.getElementById("seed"),
+  startEndless: document.getElementById("startEndless"),
+  watchReplay: document.getElementById("watchReplay"),
+  saveReplay: document.getElementById("saveReplay"),
+  loadReplay: document.getElementById("loadReplay"),
+  replayFile: document.getElementById("replayFile"),
+  levelSelect: document.getElementById("levelSelect"),
+  playLevel: document.getElementById("playLevel"),
+  playerName: document.getElementById("playerName"),
+  leaderboard: document.getElementById("leaderboard"),
+  overlay: document.getElementById("overlay"),
+  overlayTitle: document.getElementById("overlayTitle"),
+  overlayText: document.getElementById("overlayText"),
+  overlayStats: document.getElementById("overlayStats"),
+  overlayActions: document.getElementById("overlayActions"),
+  toggleEditor: document.getElementById("toggleEditor"),
+  editor: document.getElementById("editor"),
+  editorTool: document.getElementById("editorTool"),
+  editorChannel: document.getElementById("editorChannel"),
+  editorLayer: document.getElementById("editorLayer"),
+  editorLayers: document.getElementById("editorLayers"),
+  editorWidth: document.getElementById("editorWidth"),
+  editorHeight: document.getElementById("editorHeight"),
+  editorNew: document.getElementById("editorNew"),
+  editorPlay: document.getElementById("editorPlay"),
+  editorText: document.getElementById("editorText"),
+  editorExport: document.getElementById("editorExport"),
+  editorImport: document.getElementById("editorImport"),
 };
 
 const app = document.getElementById("app");
@@ -112,8 +245,15 @@ scene.add(frameRoot);
 const ballGroup = new THREE.Group();
 boardOffset.add(ballGroup);
 
-let ballMesh = null;
-let ballQuat = new THREE.Quaternion();
+const layerGroups = [];
+
+let ballGeom = null;
+let ghostMesh = null;
+const ballViews = [];
+const checkpointTiles = [];
+const switchTiles = [];
+const doorWalls = [];
+const keyMeshes = [];
 
 const materials = {};
 const meshes = [];
@@ -135,346 +275,551 @@ function resize() {
 
 window.addEventListener("resize", resize);
 
-function validField(field) {
-  return (
-    field === "." ||
-    field === "*" ||
-    field === " " ||
-    field === "u" ||
-    field === "d" ||
-    field === "l" ||
-    field === "r" ||
-    field === "a" ||
-    field === "b" ||
-    field === "c" ||
-    field === "e"
-  );
+async function loadLevelPack(name) {
+  let response;
+  try {
+    response = await fetch(name);
+  } catch (err) {
+    return null;
+  }
+  if (!response.ok) {
+    return null;
+  }
+  let pack;
+  try {
+    pack = await response.json();
+  } catch (err) {
+    throw new Error(`Invalid level pack: ${name}`);
+  }
+  if (!pack || !Array.isArray(pack.levels)) {
+    throw new Error(`Invalid level pack: ${name}`);
+  }
+  return pack;
 }
 
-function initPlayground() {
-  for (let x = 0; x < maxPlaygrndLength; x += 1) {
-    for (let y = 0; y < maxPlaygrndLength; y += 1) {
-      state.playground[x][y] = " ";
-    }
+function endlessEntry(level) {
+  const size = Math.min(maxPlaygrndLength, 4 + level * 2);
+  const maze = generateMaze({
+    seed: `${state.seed}#${level}`,
+    width: size,
+    height: size,
+    branching: Math.min(0.8, 0.1 + level * 0.05),
+    holeDensity: Math.min(0.5, level * 0.05),
+  });
+  return {
+    title: `Seed ${state.seed}`,
+    grid: serializeLevel(maze),
+    time: Math.max(30, maze.pathLength * 4),
+  };
+}
+
+function levelEntry(level) {
+  if (state.endless) {
+    return endlessEntry(level);
   }
-  state.playgroundX = 0;
-  state.playgroundY = 0;
+  if (!state.pack) {
+    return { file: `level${level}.txt` };
+  }
+  return state.pack.levels[level - 1] ?? null;
 }
 
-async function loadLevel(name) {
-  const response = await fetch(name);
+async function levelText(entry, optional = false) {
+  if (entry.grid != null) {
+    return Array.isArray(entry.grid) ? entry.grid.join("\n") : String(entry.grid);
+  }
+  if (!entry.file) {
+    throw new Error("Level entry has neither file nor grid.");
+  }
+  let response;
+  try {
+    response = await fetch(entry.file);
+  } catch (err) {
+    throw new Error(`Could not load level file: ${entry.file}`);
+  }
+  if (response.status === 404 && optional) {
+    return null;
+  }
   if (!response.ok) {
-    throw new Error(`Missing level file: ${name}`);
-  }
-  const text = await response.text();
-  let x = 0;
-  let y = 0;
-  for (let i = 0; i < text.length; i += 1) {
-    const ch = text[i];
-    if (ch === "\n") {
-      y += 1;
-      if (x > state.playgroundX) {
-        state.playgroundX = x;
-      }
-      x = 0;
-    } else if (validField(ch)) {
-      state.playground[x][y] = ch;
-      x += 1;
-    } else if (ch !== "\r") {
-      throw new Error(`Invalid char '${ch}' at x:${x} y:${y}`);
-    }
+    throw new Error(`Missing level file: ${entry.file}`);
+  }
+  return response.text();
+}
+
+async function loadLevel(entry, optional = false) {
+  const text = await levelText(entry, optional);
+  if (text === null) {
+    return false;
   }
-  state.playgroundY = y;
+  const name = entry.file ?? entry.title ?? `level ${state.level}`;
+  loadLevelText(sim, text, entry, name);
+  state.levelTitle = entry.title ?? "";
+  state.levelPhysics = entry.physics ?? {};
+  applyPhysics();
+  return true;
 }
 
-function setBallStartPos() {
-  state.ballX = plateLength / 2;
-  state.ballZ = plateLength / 2;
+function resetRun() {
+  resetBall(sim);
+  state.ballY = plateHeight + ballRad;
+  state.angleX = 0;
+  state.angleY = 0;
+  state.angleZ = 0;
 }
 
 function nextLevel() {
   state.level += 1;
-  state.levelStart = performance.now() / 1000;
-  const fname = `level${state.level}.txt`;
-  return loadLevel(fname).then(() => {
-    setBallStartPos();
-    state.angleX = 0;
-    state.angleY = 0;
-    state.angleZ = 0;
-    state.ballAccX = 0;
-    state.ballAccZ = 0;
-    state.ballSpeedX = 0;
-    state.ballSpeedZ = 0;
+  const entry = levelEntry(state.level);
+  if (!entry) {
+    state.level -= 1;
+    return Promise.resolve(false);
+  }
+  return loadLevel(entry, !state.endless && !state.pack).then((loaded) => {
+    if (!loaded) {
+      state.level -= 1;
+      return false;
+    }
+    resetRun();
+    startLevel(sim);
+    beginRecording();
     rebuildPlaygroundMeshes();
+    updateLevelSelect();
+    return true;
   });
 }
 
-function floatModulo(numerator, denominator) {
-  let v = numerator;
-  while (v >= denominator) {
-    v -= denominator;
-  }
-  return v;
+function beginRecording() {
+  state.recording = createRecording(sim, {
+    level: state.level,
+    source: state.playTest ? "editor" : state.endless ? "endless" : "pack",
+    pack: state.pack ? state.packFile : "legacy",
+    seed: state.endless ? state.seed : null,
+    title: state.levelTitle,
+    stepRate: state.stepRate,
+  });
+  state.runTick = 0;
+  state.ghost = state.ghosts[recordingKey(state.recording)] ?? null;
+  state.split = null;
+  state.splitCells = new Set();
 }
 
-function kollisionTest(x, z) {
-  const ix = Math.floor(x / plateLength);
-  const iz = Math.floor(z / plateLength);
-  const f = state.playground[ix]?.[iz] ?? " ";
-  const x_ = floatModulo(x, plateLength);
-  const z_ = floatModulo(z, plateLength);
-  switch (f) {
-    case ".":
-    case "*":
-    case " ":
-      return false;
-    case "u":
-      return z_ <= wallWidth;
-    case "d":
-      return z_ >= plateLength - wallWidth;
-    case "l":
-      return x_ <= wallWidth;
-    case "r":
-      return x_ >= plateLength - wallWidth;
-    case "a":
-      return z_ <= wallWidth || x_ <= wallWidth;
-    case "b":
-      return z_ >= plateLength - wallWidth || x_ <= wallWidth;
-    case "c":
-      return z_ <= wallWidth || x_ >= plateLength - wallWidth;
-    case "e":
-      return z_ >= plateLength - wallWidth || x_ >= plateLength - wallWidth;
-    default:
-      return false;
+function endRecording(result) {
+  if (!state.recording) {
+    return;
   }
+  finishRecording(state.recording, result);
+  if (result === "goal") {
+    storeGhost(state.recording);
+  }
+  state.lastRecording = state.recording;
+  state.recording = null;
 }
 
-function holeTest(x, z) {
-  const ix = Math.floor(x / plateLength);
-  const iz = Math.floor(z / plateLength);
-  const f = state.playground[ix]?.[iz] ?? " ";
-  if (f !== "*") {
-    return false;
+function storeGhost(recording) {
+  const key = recordingKey(recording);
+  const best = state.ghosts[key];
+  if (!best || recordingTime(recording) < best.time) {
+    state.ghosts[key] = ghostFromTrace(traceRecording(recording));
+    if (recording.source !== "editor") {
+      saveGhosts(localStore(), persistentGhosts());
+    }
   }
-  const x_ = floatModulo(x, plateLength);
-  const z_ = floatModulo(z, plateLength);
-  const dx = plateLength / 2 - x_;
-  const dz = plateLength / 2 - z_;
-  return Math.sqrt(dx * dx + dz * dz) < holeRad;
-}
-
-function startBallFall() {
-  const fallWorld = new THREE.Vector3(state.ballX, state.ballY, state.ballZ);
-  boardOffset.localToWorld(fallWorld);
-  const ix = Math.floor(state.ballX / plateLength);
-  const iz = Math.floor(state.ballZ / plateLength);
-  state.fallLockX = state.ballX;
-  state.fallLockZ = state.ballZ;
-  state.rollFromX = state.ballX;
-  state.rollFromZ = state.ballZ;
-  state.rollTargetX = ix * plateLength + plateLength / 2;
-  state.rollTargetZ = iz * plateLength + plateLength / 2;
-  state.fallStartY = state.ballY;
-  state.fallWorldX = fallWorld.x;
-  state.fallWorldZ = fallWorld.z;
-  state.fallWorldStartY = fallWorld.y;
-  state.fallWorldY = fallWorld.y;
-  state.ballSpeedX = 0;
-  state.ballSpeedZ = 0;
-  state.ballAccX = 0;
-  state.ballAccZ = 0;
-  state.falling = true;
-  state.fallStart = performance.now() / 1000;
-  state.fallPhase = "roll";
-}
-
-function goalTest(x, z) {
-  return (
-    Math.floor(x / plateLength) === state.playgroundX - 1 &&
-    Math.floor(z / plateLength) === state.playgroundY - 1
-  );
 }
 
-function myAbs(value) {
-  return value >= 0 ? value : -value;
+function persistentGhosts() {
+  return Object.fromEntries(Object.entries(state.ghosts).filter(([key]) => !key.startsWith("editor:")));
 }
 
-function correctPosZ() {
-  if (kollisionTest(state.ballX, state.ballZ + ballRad)) {
-    state.ballZ -= StopMoving;
+function updateSplit() {
+  if (!state.ghost) {
+    return;
+  }
+  const ball = leadBall(sim);
+  const cell = ballCell(ball.x, ball.z);
+  if (state.splitCells.has(cell)) {
+    return;
   }
-  if (kollisionTest(state.ballX, state.ballZ - ballRad)) {
-    state.ballZ += StopMoving;
+  state.splitCells.add(cell);
+  const ghostTick = state.ghost.cellTicks[cell];
+  if (ghostTick !== undefined) {
+    state.split = state.runTick / state.stepRate - ghostTick / state.ghost.stepRate;
   }
 }
 
-function correctPosX() {
-  if (kollisionTest(state.ballX + ballRad, state.ballZ)) {
-    state.ballX -= StopMoving;
+function nextInput() {
+  if (!state.replay) {
+    const input = { angleX: state.angleX, angleZ: state.angleZ };
+    if (state.recording && sim.status === "playing") {
+      recordTick(state.recording, input);
+    }
+    return input;
   }
-  if (kollisionTest(state.ballX - ballRad, state.ballZ)) {
-    state.ballX += StopMoving;
+  const input = recordedInput(state.replay, state.replayTick);
+  if (input) {
+    state.replayTick += 1;
+    state.angleX = input.angleX;
+    state.angleZ = input.angleZ;
   }
+  return input;
 }
 
-function newKoord() {
-  state.ballAccX = Math.sin(-state.angleZ / maxAngle) * state.gravity;
-  state.ballAccZ = Math.sin(state.angleX / maxAngle) * state.gravity;
+function startReplay(recording) {
+  leaveEditor();
+  state.playTest = false;
+  state.endless = recording.source === "endless";
+  state.seed = recording.seed ?? state.seed;
+  state.level = recording.level;
+  const levelPhysics = state.levelPhysics;
+  return loadLevel(replayEntry(recording)).then(() => {
+    state.levelPhysics = levelPhysics;
+    applyRecordingPhysics(sim, recording);
+    resetRun();
+    startLevel(sim);
+    rebuildPlaygroundMeshes();
+    state.recording = null;
+    state.replay = recording;
+    state.replayTick = 0;
+    setMode("playing");
+  });
+}
 
-  state.ballSpeedX += state.ballAccX / 1000;
-  state.ballSpeedZ += state.ballAccZ / 1000;
+function endReplay(result) {
+  const time = (state.replayTick / state.replay.stepRate).toFixed(2);
+  state.replay = null;
+  applyPhysics();
+  resetRun();
+  startLevel(sim);
+  setMode("intro");
+  showOverlay({
+    title: "Replay finished",
+    stats: [
+      ["Result", result ?? "none"],
+      ["Time", `${time} s`],
+    ],
+    actions: [
+      ["Watch Again", watchReplay],
+      ["Play", restartLevel],
+      ["Menu", goToMenu],
+    ],
+  });
+}
 
-  if (
-    (kollisionTest(state.ballX, state.ballZ + ballRad + StopMoving) &&
-      state.ballSpeedZ <= StopSpeed &&
-      state.ballSpeedZ >= 0) ||
-    (kollisionTest(state.ballX, state.ballZ - ballRad - StopMoving) &&
-      state.ballSpeedZ >= -StopSpeed &&
-      state.ballSpeedZ <= 0)
-  ) {
-    state.ballSpeedZ = 0;
-    correctPosZ();
-  } else {
-    if (myAbs(state.ballSpeedZ) <= state.rubbing) {
-      state.ballSpeedZ = 0;
-    } else if (state.ballSpeedZ > 0) {
-      state.ballSpeedZ -= state.rubbing;
-    } else {
-      state.ballSpeedZ += state.rubbing;
-    }
+function watchReplay() {
+  if (!state.lastRecording) {
+    showMessage("No replay", "There is no finished run to replay yet.");
+    return;
   }
+  startReplay(state.lastRecording).catch(showError);
+}
 
-  if (
-    (kollisionTest(state.ballX + ballRad + StopMoving, state.ballZ) &&
-      state.ballSpeedX <= StopSpeed &&
-      state.ballSpeedX >= 0) ||
-    (kollisionTest(state.ballX - ballRad - StopMoving, state.ballZ) &&
-      state.ballSpeedX >= -StopSpeed &&
-      state.ballSpeedX <= 0)
-  ) {
-    state.ballSpeedX = 0;
-    correctPosX();
-  } else {
-    if (myAbs(state.ballSpeedX) <= state.rubbing) {
-      state.ballSpeedX = 0;
-    } else if (state.ballSpeedX > 0) {
-      state.ballSpeedX -= state.rubbing;
-    } else {
-      state.ballSpeedX += state.rubbing;
-    }
+function saveReplay() {
+  if (!state.lastRecording) {
+    showMessage("No replay", "There is no finished run to save yet.");
+    return;
   }
+  const blob = new Blob([serializeRecording(state.lastRecording)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `replay-level${state.lastRecording.level}-${recordingTime(state.lastRecording).toFixed(2)}s.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
 
-  state.ballX += state.ballSpeedX;
-  state.ballZ += state.ballSpeedZ;
+async function loadReplayFile(file) {
+  const recording = parseRecording(await file.text());
+  state.lastRecording = recording;
+  await startReplay(recording);
 }
 
-function direction(z, x) {
-  if (z === 0) {
-    return x >= 0 ? Math.PI / 2 : -Math.PI / 2;
+function setMode(mode) {
+  if (state.mode === "paused" && mode !== "paused") {
+    resumeSim(sim);
+  }
+  if (mode === "paused") {
+    pauseSim(sim);
   }
-  const angle = Math.atan(x / z);
-  return z <= 0 ? angle + Math.PI : angle;
+  if (mode !== "playing" && mode !== "falling") {
+    state.moveBoard = false;
+    document.exitPointerLock?.();
+  }
+  state.mode = mode;
+  renderOverlay();
 }
 
-function setNewSpeed(angle) {
-  const s = Math.sqrt(state.ballSpeedX * state.ballSpeedX + state.ballSpeedZ * state.ballSpeedZ);
-  state.ballSpeedX = Math.sin(angle) * s * state.wallBrake;
-  state.ballSpeedZ = Math.cos(angle) * s * state.wallBrake;
+function pauseGame() {
+  if (state.mode === "playing" || state.mode === "falling") {
+    state.resumeMode = state.mode;
+    setMode("paused");
+  }
 }
 
-function stepPhysics() {
-  if (state.falling) {
-    return;
+function resumeGame() {
+  if (state.mode === "paused") {
+    setMode(state.resumeMode);
   }
-  if (holeTest(state.ballX, state.ballZ)) {
-    startBallFall();
+}
+
+function restartLevel() {
+  if (state.mode === "editing") {
     return;
   }
+  state.replay = null;
+  resetRun();
+  startLevel(sim);
+  beginRecording();
+  setMode("playing");
+}
 
-  let i = 1;
-  let collisionDetect = false;
-  let point1Ok = false;
-  let point1X = 0;
-  let point1Z = 0;
-  let point2X = 0;
-  let point2Z = 0;
-
-  while (i < subdiv) {
-    const dir = direction(state.ballSpeedZ, state.ballSpeedX);
-    const x = ballRad * Math.sin(dir - Math.PI / 2 + (Math.PI * i) / subdiv) + state.ballX;
-    const z = ballRad * Math.cos(dir - Math.PI / 2 + (Math.PI * i) / subdiv) + state.ballZ;
-
-    if (kollisionTest(x, z)) {
-      collisionDetect = true;
-      if (point1Ok) {
-        point2X = x;
-        point2Z = z;
+function retryGame() {
+  state.lives = state.maxLives;
+  restartLevel();
+}
+
+function continueGame() {
+  nextLevel()
+    .then((loaded) => {
+      if (loaded) {
+        setMode("intro");
       } else {
-        point1X = x;
-        point1Z = z;
-        point2X = x;
-        point2Z = z;
-        point1Ok = true;
+        state.message = "No more levels.";
+        setMode("game-over");
       }
-    }
-    i += 1;
+    })
+    .catch(showError);
+}
+
+function goToMenu() {
+  leaveEditor();
+  state.replay = null;
+  state.recording = null;
+  state.playTest = false;
+  resetRun();
+  setMode("menu");
+  ui.panel.classList.remove("hidden");
+}
+
+function loseLife() {
+  state.lives -= 1;
+  if (state.lives <= 0) {
+    stopGame("Fell into a hole. No lives left.");
+    return;
   }
+  resetRun();
+  setMode("playing");
+}
 
-  if (point1X === point2X && point1Z === point2Z) {
-    let angle = direction(point1Z - state.ballZ, point1X - state.ballX);
-    angle -= Math.PI / 2;
-    point2X += Math.sin(angle);
-    point2Z += Math.cos(angle);
+function reachGoal() {
+  if (state.replay) {
+    endReplay("goal");
+  } else if (state.playTest) {
+    stopGame("Goal reached.");
+  } else {
+    completeLevel();
+    setMode("level-complete");
   }
+}
 
-  if (collisionDetect) {
-    const newAngle =
-      direction(point2Z - point1Z, point2X - point1X) * 2 -
-      direction(state.ballSpeedZ, state.ballSpeedX);
-    setNewSpeed(newAngle);
+function localStore() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
   }
+}
+
+function currentPack() {
+  return packProgress(state.progress, state.pack ? state.packFile : "legacy");
+}
 
-  newKoord();
+function completeLevel() {
+  if (state.endless) {
+    return;
+  }
+  recordCompletion(currentPack(), state.level, {
+    time: state.runTick / state.stepRate,
+    name: state.progress.player,
+    date: new Date().toISOString(),
+  });
+  saveProgress(localStore(), state.progress);
+  updateLevelSelect();
+}
 
-  if (goalTest(state.ballX, state.ballZ)) {
-    nextLevel().catch(() => stopGame("No more levels."));
+function updateLevelSelect() {
+  const packData = currentPack();
+  const count = state.pack ? state.pack.levels.length : packData.unlocked;
+  ui.levelSelect.textContent = "";
+  for (let level = 1; level <= count; level += 1) {
+    const record = levelRecord(packData, level);
+    const title = state.pack?.levels[level - 1]?.title;
+    const best = record?.best != null ? ` (${record.best.toFixed(2)} s)` : "";
+    const option = document.createElement("option");
+    option.value = String(level);
+    option.textContent = `${level}${title ? ` - ${title}` : ""}${best}`;
+    option.disabled = !isUnlocked(packData, level);
+    option.selected = level === Math.max(1, state.level);
+    ui.levelSelect.appendChild(option);
   }
+  updateLeaderboard();
 }
 
-function updateBallMesh() {
-  if (!ballMesh) {
+function updateLeaderboard() {
+  const record = levelRecord(currentPack(), parseInt(ui.levelSelect.value, 10));
+  ui.leaderboard.textContent = "";
+  (record?.board ?? []).forEach((run) => {
+    const item = document.createElement("li");
+    item.textContent = `${run.time.toFixed(2)} s ${run.name || "anonymous"}`;
+    item.title = run.date;
+    ui.leaderboard.appendChild(item);
+  });
+}
+
+function playLevel(level) {
+  if (!isUnlocked(currentPack(), level)) {
     return;
   }
-  if (state.falling && state.fallPhase === "drop") {
-    ballMesh.position.set(state.fallWorldX, state.fallWorldY, state.fallWorldZ);
+  openLevel(level);
+}
+
+function openLevel(level) {
+  leaveEditor();
+  state.replay = null;
+  state.playTest = false;
+  state.endless = false;
+  state.lives = state.maxLives;
+  state.level = level - 1;
+  return nextLevel()
+    .then((loaded) => {
+      if (!loaded) {
+        throw new Error(`No level ${level} in ${state.packFile}`);
+      }
+      setMode("intro");
+    })
+    .catch(showError);
+}
+
+function syncBallViews() {
+  while (ballViews.length > sim.balls.length) {
+    ballViews.pop().mesh.removeFromParent();
+  }
+  while (ballViews.length < sim.balls.length) {
+    const mesh = new THREE.Mesh(ballGeom, materials.ball);
+    ballGroup.add(mesh);
+    ballViews.push({ mesh, quat: new THREE.Quaternion(), fallWorldX: 0, fallWorldZ: 0, fallWorldStartY: 0 });
+  }
+}
+
+function boardPoint(x, z, y) {
+  const layer = rowLayer(sim, Math.floor(z / plateLength));
+  return new THREE.Vector3(x, y - layer * layerGap, z - layer * sim.layerHeight * plateLength);
+}
+
+function frameDrop() {
+  return frameBottomDrop + (sim.layers - 1) * layerGap;
+}
+
+function updateBallView(view, ball, renderX, renderZ) {
+  const mesh = view.mesh;
+  mesh.visible = ball.status !== "home" || sim.balls.length === 1;
+  if (ball.fallPhase === "drop") {
+    if (mesh.parent !== frameRoot) {
+      const fallWorld = boardPoint(ball.x, ball.z, state.ballY);
+      boardOffset.localToWorld(fallWorld);
+      view.fallWorldX = fallWorld.x;
+      view.fallWorldZ = fallWorld.z;
+      view.fallWorldStartY = fallWorld.y;
+      ballGroup.remove(mesh);
+      frameRoot.add(mesh);
+    }
+    const progress = dropProgress(sim, ball);
+    const fallEndY = -frameDrop() + ballRad;
+    const maxDrop = Math.max(0, view.fallWorldStartY - fallEndY);
+    const fallWorldY = progress >= 1 ? fallEndY : view.fallWorldStartY - Math.min(maxDrop, fallDepth) * progress;
+    mesh.position.set(view.fallWorldX, fallWorldY, view.fallWorldZ);
     return;
   }
-  const speed = Math.sqrt(state.ballSpeedX * state.ballSpeedX + state.ballSpeedZ * state.ballSpeedZ);
-  if (!state.falling && speed > 0) {
-    const axis = new THREE.Vector3(state.ballSpeedZ, 0, -state.ballSpeedX).normalize();
-    const angle = THREE.MathUtils.degToRad(speed * 200);
-    const q = new THREE.Quaternion().setFromAxisAngle(axis, angle);
-    ballQuat.premultiply(q);
+  const local = boardPoint(renderX, renderZ, state.ballY);
+  if (mesh.parent !== ballGroup) {
+    frameRoot.remove(mesh);
+    ballGroup.add(mesh);
+  } else if (sim.status === "playing" && ball.status === "playing") {
+    const dx = local.x - mesh.position.x;
+    const dz = local.z - mesh.position.z;
+    const moved = Math.sqrt(dx * dx + dz * dz);
+    if (moved > 0) {
+      const axis = new THREE.Vector3(dz, 0, -dx).normalize();
+      const q = new THREE.Quaternion().setFromAxisAngle(axis, moved / ballRad);
+      view.quat.premultiply(q);
+    }
   }
-  if (ballMesh.parent !== ballGroup) {
-    frameRoot.remove(ballMesh);
-    ballGroup.add(ballMesh);
+  const landing = 1 - landingProgress(sim, ball) ** 2;
+  mesh.position.set(local.x, local.y + landing * layerGap, local.z);
+  mesh.quaternion.copy(view.quat);
+  return local;
+}
+
+function updateBallMesh(alpha) {
+  if (!ballGeom) {
+    return;
   }
-  ballMesh.position.set(state.ballX, state.ballY, state.ballZ);
-  ballMesh.quaternion.copy(ballQuat);
+  syncBallViews();
+  const interpolate = sim.status === "playing" && state.mode !== "editing";
+  const lead = leadBall(sim);
+  sim.balls.forEach((ball, index) => {
+    const moving = interpolate && ball.status === "playing";
+    const renderX = moving ? ball.prevX + (ball.x - ball.prevX) * alpha : ball.x;
+    const renderZ = moving ? ball.prevZ + (ball.z - ball.prevZ) * alpha : ball.z;
+    const local = updateBallView(ballViews[index], ball, renderX, renderZ);
+    if (ball === lead && local) {
+      state.renderX = local.x;
+      state.renderZ = local.z;
+    }
+  });
+}
+
+function updateGhostMesh(alpha) {
+  if (!ghostMesh) {
+    return;
+  }
+  const ghost = state.ghost;
+  ghostMesh.visible = Boolean(ghost) && state.mode !== "editing" && !state.replay;
+  if (!ghostMesh.visible) {
+    return;
+  }
+  const time = Math.max(0, (state.runTick - 1 + alpha) / state.stepRate);
+  const at = Math.min(ghost.positions.length - 1, time * ghost.stepRate);
+  const from = ghost.positions[Math.floor(at)];
+  const to = ghost.positions[Math.min(ghost.positions.length - 1, Math.floor(at) + 1)];
+  const f = at - Math.floor(at);
+  const jump = Math.abs(to[1] - from[1]) > plateLength;
+  ghostMesh.position.copy(
+    boardPoint(
+      jump ? from[0] : from[0] + (to[0] - from[0]) * f,
+      jump ? from[1] : from[1] + (to[1] - from[1]) * f,
+      plateHeight + ballRad
+    )
+  );
+}
+
+function updateLayers(dt) {
+  state.editLayer = clamp(state.editLayer, 0, sim.layers - 1);
+  const layer = state.mode === "editing" ? state.editLayer : ballLayer(sim, leadBall(sim));
+  layerGroups.forEach((group, index) => {
+    group.visible = index >= layer;
+  });
+  state.cameraY = approach(state.cameraY, -layer * layerGap, dt, layerFollowTime);
 }
 
 function updateCamera() {
   camera.fov = state.fovy;
   camera.updateProjectionMatrix();
   if (state.dynamicCamMode) {
-    const xOffset = -plateLength * state.playgroundX / 2 + state.ballX;
-    const zOffset = -plateLength * state.playgroundY / 2 + state.ballZ;
-    camera.position.set(state.eyeX + xOffset, state.eyeY + state.ballY, state.eyeZ + zOffset);
-    camera.lookAt(xOffset, state.ballY, zOffset);
+    const xOffset = -plateLength * sim.width / 2 + state.renderX;
+    const zOffset = -plateLength * sim.layerHeight / 2 + state.renderZ;
+    const y = state.ballY + state.cameraY;
+    camera.position.set(state.eyeX + xOffset, state.eyeY + y, state.eyeZ + zOffset);
+    camera.lookAt(xOffset, y, zOffset);
   } else {
-    camera.position.set(state.eyeX, state.eyeY, state.eyeZ);
-    camera.lookAt(0, 0, 0);
+    camera.position.set(state.eyeX, state.eyeY + state.cameraY, state.eyeZ);
+    camera.lookAt(0, state.cameraY, 0);
   }
 }
 
@@ -485,57 +830,15 @@ function updateBoardTransform() {
     THREE.MathUtils.degToRad(state.angleZ)
   );
   boardOffset.position.set(
-    (-plateLength * state.playgroundX) / 2,
+    (-plateLength * sim.width) / 2,
     0,
-    (-plateLength * state.playgroundY) / 2
+    (-plateLength * sim.layerHeight) / 2
   );
 }
 
-function updateBallFall(nowSec) {
-  if (!state.falling) {
-    return;
-  }
-  const elapsed = nowSec - state.fallStart;
-  if (state.fallPhase === "roll") {
-    const rollT = clamp(elapsed / rollDuration, 0, 1);
-    const ease = rollT * rollT * (3 - 2 * rollT);
-    state.ballX = state.rollFromX + (state.rollTargetX - state.rollFromX) * ease;
-    state.ballZ = state.rollFromZ + (state.rollTargetZ - state.rollFromZ) * ease;
-    state.ballY = state.fallStartY;
-    if (rollT >= 1) {
-      const fallWorld = new THREE.Vector3(state.ballX, state.ballY, state.ballZ);
-      boardOffset.localToWorld(fallWorld);
-      state.fallWorldX = fallWorld.x;
-      state.fallWorldZ = fallWorld.z;
-      state.fallWorldStartY = fallWorld.y;
-      state.fallWorldY = fallWorld.y;
-      if (ballMesh && ballMesh.parent !== frameRoot) {
-        ballGroup.remove(ballMesh);
-        frameRoot.add(ballMesh);
-      }
-      state.fallPhase = "drop";
-      state.fallStart = nowSec;
-    }
-    return;
-  }
-
-  const fallT = clamp(elapsed / fallDuration, 0, 1);
-  const ease = fallT * fallT * (3 - 2 * fallT);
-  const fallEndY = -frameBottomDrop + ballRad;
-  const maxDrop = Math.max(0, state.fallWorldStartY - fallEndY);
-  const drop = Math.min(maxDrop, fallDepth) * ease;
-  state.fallWorldY = state.fallWorldStartY - drop;
-  if (fallT >= 1) {
-    state.fallWorldY = fallEndY;
-  }
-  if (fallT >= 1 && elapsed >= fallDuration + fallEndWait && !state.stopped) {
-    stopGame("Fell into a hole.");
-  }
-}
-
 function clampBoardToBottom() {
-  const boardWidth = plateLength * state.playgroundX;
-  const boardDepth = plateLength * state.playgroundY;
+  const boardWidth = plateLength * sim.width;
+  const boardDepth = plateLength * sim.layerHeight;
   if (boardWidth <= 0 || boardDepth <= 0) {
     return;
   }
@@ -593,22 +896,234 @@ function drawHud() {
 
   hudCtx.fillStyle = "red";
   hudCtx.font = "18px Helvetica";
-  hudCtx.fillText(`Level: ${state.level}`, 10, state.height - 20);
-  hudCtx.fillText(`Time: ${state.levelTime}`, state.width - 110, state.height - 20);
+  const title = state.levelTitle ? ` - ${state.levelTitle}` : "";
+  hudCtx.fillText(`Level: ${state.level}${title}`, 10, state.height - 20);
+  if (state.mode !== "editing" && !state.replay) {
+    hudCtx.fillText(`Lives: ${state.lives}`, 10, state.height - 44);
+    let line = state.height - 68;
+    if (sim.checkpoints.length > 0) {
+      const reached = sim.reached.filter(Boolean).length;
+      hudCtx.fillText(`Checkpoints: ${reached}/${sim.checkpoints.length}`, 10, line);
+      line -= 24;
+    }
+    if (sim.keys.length > 0) {
+      const collected = sim.collected.filter(Boolean).length;
+      hudCtx.fillText(`Keys: ${collected}/${sim.keys.length}`, 10, line);
+      line -= 24;
+    }
+    if (sim.balls.length > 1) {
+      const home = sim.balls.filter((ball) => ball.status === "home").length;
+      hudCtx.fillText(`Balls: ${home}/${ballsToWin(sim)}`, 10, line);
+      line -= 24;
+    }
+    if (sim.layers > 1) {
+      hudCtx.fillText(`Layer: ${ballLayer(sim, leadBall(sim)) + 1}/${sim.layers}`, 10, line);
+    }
+  }
+  if (state.replay) {
+    hudCtx.fillText(`Replay ${(state.replayTick / state.replay.stepRate).toFixed(2)} s`, 10, 24);
+  }
+  if (state.mode === "editing") {
+    hudCtx.fillText("Editor", state.width - 110, state.height - 20);
+  } else {
+    hudCtx.fillText(`Time: ${sim.levelTime}`, state.width - 110, state.height - 20);
+  }
+  if (state.ghost && state.mode !== "editing" && !state.replay) {
+    hudCtx.fillText(`Best: ${state.ghost.time.toFixed(2)}`, state.width - 110, state.height - 44);
+    if (state.split !== null) {
+      hudCtx.fillStyle = state.split <= 0 ? "green" : "red";
+      const sign = state.split <= 0 ? "-" : "+";
+      hudCtx.fillText(`Split: ${sign}${Math.abs(state.split).toFixed(2)}`, state.width - 110, state.height - 68);
+    }
+  }
+  if (state.debug) {
+    const info = renderer.info.render;
+    hudCtx.fillStyle = "red";
+    hudCtx.fillText(`Draw calls: ${info.calls}`, state.width - 200, 24);
+    hudCtx.fillText(`Triangles: ${info.triangles}`, state.width - 200, 48);
+    hudCtx.fillText(`FPS: ${state.fps.toFixed(0)}`, state.width - 200, 72);
+  }
 
+  drawJoystick();
   hudCtx.restore();
 }
 
+function drawJoystick() {
+  const stick = state.joystick;
+  if (!stick || (state.mode !== "playing" && state.mode !== "falling")) {
+    return;
+  }
+  const rect = hud.getBoundingClientRect();
+  const offset = joystickOffset(stick);
+  const x = stick.originX - rect.left;
+  const y = stick.originY - rect.top;
+  hudCtx.strokeStyle = "rgba(0, 0, 0, 0.4)";
+  hudCtx.lineWidth = 3;
+  hudCtx.beginPath();
+  hudCtx.arc(x, y, joystickRadius, 0, Math.PI * 2);
+  hudCtx.stroke();
+  hudCtx.fillStyle = "rgba(0, 0, 0, 0.3)";
+  hudCtx.beginPath();
+  hudCtx.arc(x + offset.x * joystickRadius, y + offset.y * joystickRadius, joystickRadius / 3, 0, Math.PI * 2);
+  hudCtx.fill();
+}
+
 function stopGame(reason) {
-  state.stopped = true;
-  alert(reason);
+  if (state.playTest) {
+    enterEditor();
+    showMessage("Play test over", reason);
+    return;
+  }
+  state.message = reason;
+  setMode("game-over");
+}
+
+function showOverlay({ title, text = "", stats = [], actions = [] }) {
+  ui.overlayTitle.textContent = title;
+  ui.overlayText.textContent = text;
+  ui.overlayStats.textContent = "";
+  stats.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    ui.overlayStats.append(term, detail);
+  });
+  ui.overlayActions.textContent = "";
+  actions.forEach(([label, run]) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", run);
+    ui.overlayActions.appendChild(button);
+  });
+  ui.overlay.classList.remove("hidden");
+}
+
+function hideOverlay() {
+  ui.overlay.classList.add("hidden");
+}
+
+function showMessage(title, text) {
+  pauseGame();
+  showOverlay({ title, text, actions: [["OK", renderOverlay]] });
+}
+
+function showError(err) {
+  console.error(err);
+  state.message = err.message;
+  setMode("error");
+}
+
+function bestTime() {
+  const record = state.endless || state.playTest ? null : levelRecord(currentPack(), state.level);
+  return record?.best ?? state.ghost?.time ?? null;
+}
+
+function formatTime(time) {
+  return time === null ? "-" : `${time.toFixed(2)} s`;
+}
+
+function levelHeading() {
+  return `Level ${state.level}${state.levelTitle ? `: ${state.levelTitle}` : ""}`;
+}
+
+function renderOverlay() {
+  switch (state.mode) {
+    case "menu":
+      showOverlay({
+        title: state.pack?.title ?? "Kugellabyrinth",
+        text: "Tilt the board and roll the ball into the goal.",
+        actions: [
+          ["Play", confirmMode],
+          ["Endless Mode", startEndless],
+          ["Editor", enterEditor],
+        ],
+      });
+      break;
+    case "intro":
+      showOverlay({
+        title: levelHeading(),
+        text: state.endless ? `Endless mode, seed ${state.seed}` : "",
+        stats: [
+          ["Time limit", `${sim.levelPeriod} s`],
+          ["Lives", String(state.lives)],
+          ["Checkpoints", String(sim.checkpoints.length)],
+          ["Best", formatTime(bestTime())],
+        ],
+        actions: [
+          ["Start", restartLevel],
+          ["Menu", goToMenu],
+        ],
+      });
+      break;
+    case "paused":
+      showOverlay({
+        title: "Paused",
+        text: levelHeading(),
+        stats: [
+          ["Time left", `${sim.levelTime} s`],
+          ["Lives", String(state.lives)],
+        ],
+        actions: [
+          ["Resume", resumeGame],
+          ["Restart", restartLevel],
+          ["Menu", goToMenu],
+        ],
+      });
+      break;
+    case "level-complete": {
+      const time = state.runTick / state.stepRate;
+      const best = bestTime();
+      showOverlay({
+        title: "Level complete",
+        text: best !== null && time <= best ? `${levelHeading()} - new best time!` : levelHeading(),
+        stats: [
+          ["Time", formatTime(time)],
+          ["Best", formatTime(best)],
+          ["Time left", `${sim.levelTime} s`],
+          ["Lives", String(state.lives)],
+        ],
+        actions: [
+          ["Next Level", continueGame],
+          ["Retry", restartLevel],
+          ["Watch Replay", watchReplay],
+          ["Menu", goToMenu],
+        ],
+      });
+      break;
+    }
+    case "game-over":
+      showOverlay({
+        title: state.message,
+        text: levelHeading(),
+        stats: [["Lives", String(state.lives)]],
+        actions: [
+          ["Retry", retryGame],
+          ["Menu", goToMenu],
+        ],
+      });
+      break;
+    case "error":
+      showOverlay({
+        title: "Something went wrong",
+        text: state.message,
+        actions: [
+          ["Menu", goToMenu],
+          ["Reload", () => window.location.reload()],
+        ],
+      });
+      break;
+    default:
+      hideOverlay();
+      break;
+  }
 }
 
 function clearMeshes() {
   while (meshes.length > 0) {
     const mesh = meshes.pop();
-    boardOffset.remove(mesh);
-    if (mesh.geometry) mesh.geometry.dispose();
+    mesh.removeFromParent();
+    if (mesh.isInstancedMesh) mesh.dispose();
   }
 }
 
@@ -620,12 +1135,41 @@ function clearFrame() {
   }
 }
 
-function addWall(x, z, width, depth) {
-  const geom = new THREE.BoxGeometry(width, wallHeight, depth);
-  const mesh = new THREE.Mesh(geom, materials.mahagony);
-  mesh.position.set(x, plateHeight + wallHeight / 2, z);
-  boardOffset.add(mesh);
-  meshes.push(mesh);
+function createArcGeom(shape) {
+  const segments = 12;
+  const points = [];
+  [shape.arcRadius + shape.radius, shape.arcRadius - shape.radius].forEach((radius, ring) => {
+    for (let i = 0; i <= segments; i += 1) {
+      const a = ((ring === 0 ? i : segments - i) / segments) * (Math.PI / 2);
+      points.push([shape.x + shape.sx * Math.cos(a) * radius, shape.z + shape.sz * Math.sin(a) * radius]);
+    }
+  });
+  const outline = new THREE.Shape();
+  outline.moveTo(points[0][0], -points[0][1]);
+  points.slice(1).forEach(([x, z]) => outline.lineTo(x, -z));
+  const geom = new THREE.ExtrudeGeometry(outline, { depth: wallHeight, bevelEnabled: false, steps: 1 });
+  geom.rotateX(-Math.PI / 2);
+  return geom;
+}
+
+function createShapeGeom(shape) {
+  switch (shape.type) {
+    case "segment": {
+      const dx = shape.x1 - shape.x0;
+      const dz = shape.z1 - shape.z0;
+      const geom = new THREE.BoxGeometry(Math.sqrt(dx * dx + dz * dz), wallHeight, shape.radius * 2);
+      geom.rotateY(-Math.atan2(dz, dx));
+      geom.translate((shape.x0 + shape.x1) / 2, wallHeight / 2, (shape.z0 + shape.z1) / 2);
+      return geom;
+    }
+    case "arc":
+      return createArcGeom(shape);
+    default: {
+      const geom = new THREE.CylinderGeometry(shape.radius, shape.radius, wallHeight, subdiv);
+      geom.translate(shape.x, wallHeight / 2, shape.z);
+      return geom;
+    }
+  }
 }
 
 function createPlateWithHoleGeom() {
@@ -650,12 +1194,86 @@ function createPlateWithHoleGeom() {
   return geom;
 }
 
-let plateWithHoleGeom = null;
+const geoms = {};
+const shapeGeoms = new Map();
+
+function sharedGeoms() {
+  if (!geoms.tile) {
+    geoms.tile = new THREE.BoxGeometry(plateLength, plateHeight, plateLength);
+    geoms.plateWithHole = createPlateWithHoleGeom();
+    geoms.wall = new THREE.BoxGeometry(1, 1, 1);
+    geoms.key = new THREE.TorusGeometry(ballRad * 0.6, ballRad * 0.2, 8, 16);
+  }
+  return geoms;
+}
+
+function shapeGeom(field, index, shape) {
+  const key = `${field}${index}`;
+  if (!shapeGeoms.has(key)) {
+    shapeGeoms.set(key, createShapeGeom(shape));
+  }
+  return shapeGeoms.get(key);
+}
+
+function wallPiece(x, z, width, depth) {
+  return {
+    geom: sharedGeoms().wall,
+    matrix: new THREE.Matrix4().compose(
+      new THREE.Vector3(x, plateHeight + wallHeight / 2, z),
+      new THREE.Quaternion(),
+      new THREE.Vector3(width, wallHeight, depth)
+    ),
+  };
+}
+
+function shapePiece(field, index, shape, xi, zi) {
+  return { geom: shapeGeom(field, index, shape), matrix: new THREE.Matrix4().makeTranslation(xi, plateHeight, zi) };
+}
+
+function addMesh(group, geom, mat, matrix) {
+  const mesh = new THREE.Mesh(geom, mat);
+  matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+  group.add(mesh);
+  meshes.push(mesh);
+  return mesh;
+}
+
+function addInstance(batches, group, geom, mat, matrix) {
+  const key = `${group.id}:${geom.id}:${mat.id}`;
+  if (!batches.has(key)) {
+    batches.set(key, { group, geom, mat, matrices: [] });
+  }
+  batches.get(key).matrices.push(matrix);
+}
+
+function addBatches(batches) {
+  batches.forEach(({ group, geom, mat, matrices }) => {
+    const mesh = new THREE.InstancedMesh(geom, mat, matrices.length);
+    matrices.forEach((matrix, index) => mesh.setMatrixAt(index, matrix));
+    mesh.computeBoundingSphere();
+    group.add(mesh);
+    meshes.push(mesh);
+  });
+}
+
+function syncLayerGroups() {
+  while (layerGroups.length > sim.layers) {
+    layerGroups.pop().removeFromParent();
+  }
+  while (layerGroups.length < sim.layers) {
+    const group = new THREE.Group();
+    boardOffset.add(group);
+    layerGroups.push(group);
+  }
+  layerGroups.forEach((group, layer) => {
+    group.position.set(0, -layer * layerGap, -layer * sim.layerHeight * plateLength);
+  });
+}
 
 function rebuildFrame() {
   clearFrame();
-  const boardWidth = plateLength * state.playgroundX;
-  const boardDepth = plateLength * state.playgroundY;
+  const boardWidth = plateLength * sim.width;
+  const boardDepth = plateLength * sim.layerHeight;
   if (boardWidth <= 0 || boardDepth <= 0) {
     return;
   }
@@ -665,7 +1283,7 @@ function rebuildFrame() {
   const totalDepth = boardDepth + frameThickness * 2;
   const totalWidth = boardWidth + frameThickness * 2;
   const bottomThickness = plateHeight * 0.6;
-  const bottomDrop = frameBottomDrop;
+  const bottomDrop = frameDrop();
   const frameHeight = baseFrameHeight + bottomDrop;
   const y = frameHeight / 2 - bottomDrop;
 
@@ -703,76 +1321,151 @@ function rebuildFrame() {
 
 function rebuildPlaygroundMeshes() {
   clearMeshes();
-
-  const tileGeom = new THREE.BoxGeometry(plateLength, plateHeight, plateLength);
-  if (!plateWithHoleGeom) {
-    plateWithHoleGeom = createPlateWithHoleGeom();
-  }
-
-  for (let x = 0; x < state.playgroundX; x += 1) {
-    for (let y = 0; y < state.playgroundY; y += 1) {
-      const cell = state.playground[x][y];
+  checkpointTiles.length = 0;
+  switchTiles.length = 0;
+  doorWalls.length = 0;
+  keyMeshes.length = 0;
+  syncLayerGroups();
+
+  const { tile: tileGeom, plateWithHole: plateWithHoleGeom, key: keyGeom } = sharedGeoms();
+  const batches = new Map();
+
+  for (let x = 0; x < sim.width; x += 1) {
+    for (let y = 0; y < sim.height; y += 1) {
+      const cell = sim.cells[x][y];
       const xi = x * plateLength;
       const zi = y * plateLength;
-
-      if (cell !== "*") {
-        const mat = x === state.playgroundX - 1 && y === state.playgroundY - 1 ? materials.goal : materials.pine;
-        const tile = new THREE.Mesh(tileGeom, mat);
-        tile.position.set(xi + plateLength / 2, plateHeight / 2, zi + plateLength / 2);
-        boardOffset.add(tile);
-        meshes.push(tile);
+      const group = layerGroups[rowLayer(sim, y)];
+
+      const surface = sim.surfaces[x][y];
+      const at = (item) => item.x === x && item.y === y;
+      if (!holeField(cell)) {
+        const goal = isGoalCell(sim, x, y);
+        let mat = materials[`${surface}Floor`] ?? materials.pine;
+        if (goal) {
+          mat = materials.goal;
+        } else if (sim.teleporters.some(at)) {
+          mat = materials.teleporter;
+        }
+        const matrix = new THREE.Matrix4().makeTranslation(xi + plateLength / 2, plateHeight / 2, zi + plateLength / 2);
+        const checkpoint = goal ? -1 : checkpointIndex(sim, x, y);
+        const switchCell = goal ? null : sim.switches.find(at);
+        if (checkpoint >= 0 || switchCell) {
+          const tile = addMesh(group, tileGeom, mat, matrix);
+          if (checkpoint >= 0) {
+            checkpointTiles.push({ index: checkpoint, mesh: tile });
+          }
+          if (switchCell) {
+            switchTiles.push({ channel: switchCell.channel, mesh: tile });
+          }
+        } else {
+          addInstance(batches, group, tileGeom, mat, matrix);
+        }
       } else {
-        const holePlate = new THREE.Mesh(plateWithHoleGeom, materials.pineHole);
-        holePlate.position.set(xi, 0, zi);
-        boardOffset.add(holePlate);
-        meshes.push(holePlate);
-
+        const mat = cell === "+" ? materials.dropHole : materials.pineHole;
+        addInstance(batches, group, plateWithHoleGeom, mat, new THREE.Matrix4().makeTranslation(xi, 0, zi));
       }
 
-      switch (cell) {
-        case "u":
-          addWall(xi + plateLength / 2, zi + wallWidth / 2, plateLength, wallWidth);
-          break;
-        case "d":
-          addWall(xi + plateLength / 2, zi + plateLength - wallWidth / 2, plateLength, wallWidth);
-          break;
-        case "l":
-          addWall(xi + wallWidth / 2, zi + plateLength / 2, wallWidth, plateLength);
-          break;
-        case "r":
-          addWall(xi + plateLength - wallWidth / 2, zi + plateLength / 2, wallWidth, plateLength);
-          break;
-        case "a":
-          addWall(xi + plateLength / 2, zi + wallWidth / 2, plateLength, wallWidth);
-          addWall(xi + wallWidth / 2, zi + plateLength / 2, wallWidth, plateLength);
-          break;
-        case "b":
-          addWall(xi + plateLength / 2, zi + plateLength - wallWidth / 2, plateLength, wallWidth);
-          addWall(xi + wallWidth / 2, zi + plateLength / 2, wallWidth, plateLength);
-          break;
-        case "c":
-          addWall(xi + plateLength / 2, zi + wallWidth / 2, plateLength, wallWidth);
-          addWall(xi + plateLength - wallWidth / 2, zi + plateLength / 2, wallWidth, plateLength);
-          break;
-        case "e":
-          addWall(xi + plateLength / 2, zi + plateLength - wallWidth / 2, plateLength, wallWidth);
-          addWall(xi + plateLength - wallWidth / 2, zi + plateLength / 2, wallWidth, plateLength);
-          break;
-        default:
-          break;
-      }
+      const door = sim.doors.find(at);
+      const wallMat = door ? materials.door : materials[`${surface}Wall`] ?? materials.mahagony;
+      const pieces = [
+        ...fieldWalls(cell).map((w) =>
+          wallPiece(xi + (w.x0 + w.x1) / 2, zi + (w.z0 + w.z1) / 2, w.x1 - w.x0, w.z1 - w.z0)
+        ),
+        ...fieldShapes(cell).map((shape, index) => shapePiece(cell, index, shape, xi, zi)),
+      ];
+      pieces.forEach(({ geom, matrix }) => {
+        if (!door) {
+          addInstance(batches, group, geom, wallMat, matrix);
+          return;
+        }
+        const mesh = addMesh(group, geom, wallMat, matrix);
+        doorWalls.push({
+          channel: door.channel,
+          mesh,
+          baseY: mesh.position.y,
+          open: sim.channels[door.channel] ? 1 : 0,
+        });
+      });
     }
   }
+  addBatches(batches);
+
+  sim.keys.forEach((key, index) => {
+    const mesh = addMesh(
+      layerGroups[rowLayer(sim, key.y)],
+      keyGeom,
+      materials.key,
+      new THREE.Matrix4().makeTranslation(
+        key.x * plateLength + plateLength / 2,
+        plateHeight + ballRad,
+        key.y * plateLength + plateLength / 2
+      )
+    );
+    keyMeshes.push({ index, mesh });
+  });
 
-  if (!ballMesh) {
-    const ballGeom = new THREE.SphereGeometry(ballRad, subdiv, subdiv);
-    ballMesh = new THREE.Mesh(ballGeom, materials.ball);
-    ballGroup.add(ballMesh);
+  if (!ballGeom) {
+    ballGeom = new THREE.SphereGeometry(ballRad, subdiv, subdiv);
+    ghostMesh = new THREE.Mesh(ballGeom, materials.ghost);
+    ghostMesh.visible = false;
+    ballGroup.add(ghostMesh);
   }
 
   rebuildFrame();
 }
 
+function updateCheckpointTiles() {
+  checkpointTiles.forEach(({ index, mesh }) => {
+    mesh.material = sim.reached[index] ? materials.checkpointReached : materials.checkpoint;
+  });
+}
+
+function updateLinkMeshes(dt) {
+  switchTiles.forEach(({ channel, mesh }) => {
+    mesh.material = sim.channels[channel] ? materials.switchOn : materials.switchOff;
+  });
+  doorWalls.forEach((door) => {
+    door.open = approach(door.open, sim.channels[door.channel] ? 1 : 0, dt, doorTime);
+    door.mesh.position.y = door.baseY - door.open * wallHeight;
+  });
+  keyMeshes.forEach(({ index, mesh }) => {
+    mesh.visible = !sim.collected[index];
+    mesh.rotation.y += dt * 2;
+  });
+}
+
+const surfaceLooks = {
+  ice: { color: [190, 225, 245], grain: 0.1, pattern: (x, y) => ((x + 2 * y) % 16 < 2 ? 1.15 : 1) },
+  sand: { color: [214, 186, 128], grain: 0.35, pattern: () => 1 },
+  carpet: { color: [150, 36, 48], grain: 0.15, pattern: (x, y) => (((x >> 1) + (y >> 1)) % 2 ? 1 : 0.8) },
+  bumper: { color: [200, 40, 32], grain: 0.2, pattern: (x, y) => (y % 8 < 1 ? 0.7 : 1) },
+};
+
+function surfaceTexture(name) {
+  const look = surfaceLooks[name];
+  const size = 64;
+  const out = new Uint8Array(size * size * 4);
+  let seed = 1;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      seed = (seed * 16807) % 2147483647;
+      const shade = look.pattern(x, y) * (1 - look.grain / 2 + (look.grain * seed) / 2147483647);
+      const i = (y * size + x) * 4;
+      out[i] = Math.min(255, look.color[0] * shade);
+      out[i + 1] = Math.min(255, look.color[1] * shade);
+      out[i + 2] = Math.min(255, look.color[2] * shade);
+      out[i + 3] = 255;
+    }
+  }
+  const texture = new THREE.DataTexture(out, size, size, THREE.RGBAFormat);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
 function parseTga(buffer) {
   const data = new Uint8Array(buffer);
   const idLength = data[0];
@@ -831,29 +1524,122 @@ function parseTga(buffer) {
 }
 
 async function loadTexture(name) {
-  const response = await fetch(name);
+  let response;
+  try {
+    response = await fetch(name);
+  } catch (err) {
+    throw new Error(`Could not load texture: ${name}`);
+  }
   if (!response.ok) {
     throw new Error(`Missing texture: ${name}`);
   }
   const buffer = await response.arrayBuffer();
-  return parseTga(buffer);
+  try {
+    return parseTga(buffer);
+  } catch (err) {
+    throw new Error(`${name}: ${err.message}`);
+  }
 }
 
-function setupUi() {
-  ui.toggleCam.addEventListener("click", () => {
-    state.dynamicCamMode = !state.dynamicCamMode;
+function selectValue(select, value) {
+  const text = String(value);
+  if (![...select.options].some((option) => option.value === text)) {
+    const option = document.createElement("option");
+    option.value = text;
+    option.textContent = text;
+    select.appendChild(option);
+  }
+  select.value = text;
+}
+
+function applySettings(settings) {
+  selectValue(ui.gravity, settings.gravity);
+  selectValue(ui.elasticity, settings.elasticity);
+  selectValue(ui.rubbing, settings.rubbing);
+  selectValue(ui.stepRate, settings.stepRate);
+  selectValue(ui.lives, settings.lives);
+  selectValue(ui.mouseSensity, settings.mouseSensity);
+  selectValue(ui.tiltCurve, settings.tiltCurve);
+  state.stepRate = settings.stepRate;
+  state.maxLives = settings.lives;
+  state.lives = settings.lives;
+  state.mouseSensity = settings.mouseSensity;
+  state.invertMouseX = settings.invertMouseX;
+  state.invertMouseY = settings.invertMouseY;
+  state.springReturn = settings.springReturn;
+  ui.invertMouseX.checked = settings.invertMouseX;
+  ui.invertMouseY.checked = settings.invertMouseY;
+  ui.springReturn.checked = settings.springReturn;
+  state.dynamicCamMode = settings.dynamicCamMode;
+  state.fovy = settings.fovy;
+  state.eyeX = settings.eye.x;
+  state.eyeY = settings.eye.y;
+  state.eyeZ = settings.eye.z;
+  state.tiltBaseline = { ...settings.tiltBaseline };
+  state.tiltCurve = settings.tiltCurve;
+}
+
+function liveSettings() {
+  const camera = state.editorCamera ?? state;
+  return {
+    gravity: parseFloat(ui.gravity.value),
+    elasticity: parseFloat(ui.elasticity.value),
+    rubbing: parseFloat(ui.rubbing.value),
+    stepRate: state.stepRate,
+    lives: state.maxLives,
+    mouseSensity: state.mouseSensity,
+    invertMouseX: state.invertMouseX,
+    invertMouseY: state.invertMouseY,
+    springReturn: state.springReturn,
+    dynamicCamMode: camera.dynamicCamMode,
+    fovy: state.fovy,
+    eye: { x: camera.eyeX, y: camera.eyeY, z: camera.eyeZ },
+    tiltBaseline: { ...state.tiltBaseline },
+    tiltCurve: state.tiltCurve,
+  };
+}
+
+function storeSettings(...keys) {
+  const live = liveSettings();
+  const stored = loadSettings(localStore());
+  keys.forEach((key) => {
+    stored[key] = live[key];
   });
-  ui.gravity.addEventListener("change", (e) => {
-    state.gravity = parseFloat(e.target.value);
+  saveSettings(localStore(), stored);
+}
+
+function setupUi() {
+  ui.toggleCam.addEventListener("click", toggleCamMode);
+  [
+    ["gravity", ui.gravity],
+    ["elasticity", ui.elasticity],
+    ["rubbing", ui.rubbing],
+  ].forEach(([key, select]) => {
+    select.addEventListener("change", () => {
+      delete state.physicsOverride[key];
+      applyPhysics();
+      storeSettings(key);
+    });
   });
-  ui.elasticity.addEventListener("change", (e) => {
-    state.wallBrake = parseFloat(e.target.value);
+  ui.stepRate.addEventListener("change", (e) => {
+    state.stepRate = parseFloat(e.target.value);
+    state.recording = null;
+    storeSettings("stepRate");
   });
-  ui.rubbing.addEventListener("change", (e) => {
-    state.rubbing = parseFloat(e.target.value);
+  ui.lives.addEventListener("change", (e) => {
+    state.maxLives = parseInt(e.target.value, 10);
+    state.lives = state.maxLives;
+    storeSettings("lives");
   });
   ui.mouseSensity.addEventListener("change", (e) => {
     state.mouseSensity = parseFloat(e.target.value);
+    storeSettings("mouseSensity");
+  });
+  ["invertMouseX", "invertMouseY", "springReturn"].forEach((key) => {
+    ui[key].addEventListener("change", (e) => {
+      state[key] = e.target.checked;
+      storeSettings(key);
+    });
   });
   ui.enableTilt.addEventListener("click", async () => {
     const ok = await requestTiltPermission();
@@ -863,17 +1649,435 @@ function setupUi() {
       ui.enableTilt.disabled = true;
     }
   });
-  ui.calibrateTilt.addEventListener("click", () => {
-    state.tiltBaseline = { ...state.lastTilt };
+  ui.calibrateTilt.addEventListener("click", startCalibration);
+  ui.tiltCurve.addEventListener("change", (e) => {
+    state.tiltCurve = parseFloat(e.target.value);
+    storeSettings("tiltCurve");
+  });
+  ui.startEndless.addEventListener("click", startEndless);
+  ui.levelSelect.addEventListener("change", updateLeaderboard);
+  ui.playLevel.addEventListener("click", () => {
+    playLevel(parseInt(ui.levelSelect.value, 10));
+  });
+  ui.playerName.addEventListener("change", () => {
+    state.progress.player = ui.playerName.value.trim();
+    saveProgress(localStore(), state.progress);
+  });
+  ui.watchReplay.addEventListener("click", watchReplay);
+  ui.saveReplay.addEventListener("click", saveReplay);
+  ui.loadReplay.addEventListener("click", () => {
+    ui.replayFile.click();
+  });
+  ui.replayFile.addEventListener("change", () => {
+    const file = ui.replayFile.files[0];
+    ui.replayFile.value = "";
+    if (file) {
+      loadReplayFile(file).catch((err) => showMessage("Replay not loaded", `${file.name}: ${err.message}`));
+    }
+  });
+  ui.exitGame.addEventListener("click", goToMenu);
+}
+
+function enterEditor() {
+  if (state.mode !== "editing" && !state.playTest) {
+    state.editorReturn = state.mode;
+    state.editorCamera = {
+      dynamicCamMode: state.dynamicCamMode,
+      eyeX: state.eyeX,
+      eyeY: state.eyeY,
+      eyeZ: state.eyeZ,
+    };
+  }
+  state.replay = null;
+  state.recording = null;
+  setMode("editing");
+  clearCheckpoints(sim);
+  state.playTest = false;
+  state.editPainting = false;
+  state.dynamicCamMode = false;
+  resetRun();
+  const size = Math.max(sim.width, sim.layerHeight) * plateLength;
+  state.eyeX = 0;
+  state.eyeZ = 0.1;
+  state.eyeY = Math.max(10, (size * 0.6) / Math.tan(THREE.MathUtils.degToRad(state.fovy / 2)));
+  ui.editor.classList.remove("hidden");
+  ui.toggleEditor.textContent = "Leave Editor";
+}
+
+function startPlayTest() {
+  state.playTest = true;
+  state.editPainting = false;
+  state.lives = state.maxLives;
+  resetRun();
+  startLevel(sim);
+  beginRecording();
+  setMode("playing");
+  ui.editor.classList.add("hidden");
+  ui.toggleEditor.textContent = "Editor";
+}
+
+function leaveEditor() {
+  if (state.editorCamera) {
+    Object.assign(state, state.editorCamera);
+    state.editorCamera = null;
+  }
+  if (state.mode === "editing") {
+    setMode("menu");
+    ui.editor.classList.add("hidden");
+    ui.toggleEditor.textContent = "Editor";
+  }
+}
+
+function returnFromEditor() {
+  const mode = state.editorReturn;
+  leaveEditor();
+  if (mode === "menu" || mode === "error") {
+    return;
+  }
+  state.level -= 1;
+  nextLevel()
+    .then((loaded) => setMode(loaded ? "intro" : "menu"))
+    .catch(showError);
+}
+
+function boardCellAt(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(pointer, camera);
+  const group = layerGroups[state.editLayer] ?? boardOffset;
+  const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -plateHeight).applyMatrix4(group.matrixWorld);
+  const hit = new THREE.Vector3();
+  if (!raycaster.ray.intersectPlane(plane, hit)) {
+    return null;
+  }
+  group.worldToLocal(hit);
+  const x = Math.floor(hit.x / plateLength);
+  const y = Math.floor(hit.z / plateLength);
+  if (x < 0 || y < 0 || x >= sim.width || y >= sim.height || rowLayer(sim, y) !== state.editLayer) {
+    return null;
+  }
+  return { x, y, fx: hit.x / plateLength - x, fz: hit.z / plateLength - y };
+}
+
+function nearestSide(fx, fz) {
+  const distances = { up: fz, down: 1 - fz, left: fx, right: 1 - fx };
+  return Object.keys(distances).reduce((a, b) => (distances[b] < distances[a] ? b : a));
+}
+
+function paintAt(event, first) {
+  const hit = boardCellAt(event);
+  if (!hit) {
+    return;
+  }
+  const { x, y } = hit;
+  const cell = sim.cells[x][y];
+  let field = cell;
+  switch (ui.editorTool.value) {
+    case "floor":
+      field = ".";
+      break;
+    case "hole":
+      field = "*";
+      break;
+    case "drop":
+      field = "+";
+      break;
+    case "diagonal":
+      field = Math.abs(hit.fx - hit.fz) < Math.abs(hit.fx + hit.fz - 1) ? "\\" : "/";
+      break;
+    case "curve":
+      if (hit.fz < 0.5) {
+        field = hit.fx < 0.5 ? "f" : "h";
+      } else {
+        field = hit.fx < 0.5 ? "g" : "i";
+      }
+      break;
+    case "pillar":
+      field = "o";
+      break;
+    case "wall": {
+      const side = nearestSide(hit.fx, hit.fz);
+      const sides = fieldSides(cell);
+      sides[side] = !event.shiftKey;
+      field = sidesField(sides) ?? sidesField({ [side]: true });
+      break;
+    }
+    case "start": {
+      const index = sim.starts.findIndex((start) => start.x === x && start.y === y);
+      if (first) {
+        state.editStartAdd = index < 0;
+      }
+      if (state.editStartAdd && index < 0) {
+        sim.starts.push({ x, y });
+      } else if (!state.editStartAdd && index >= 0 && sim.starts.length > 1) {
+        sim.starts.splice(index, 1);
+      } else {
+        return;
+      }
+      resetRun();
+      return;
+    }
+    case "goal": {
+      const isGoal = isGoalCell(sim, x, y);
+      if (first) {
+        state.editGoalAdd = !isGoal;
+      }
+      if (state.editGoalAdd && !isGoal) {
+        sim.goals.push({ x, y });
+      } else if (!state.editGoalAdd && isGoal) {
+        sim.goals = sim.goals.filter((goal) => goal.x !== x || goal.y !== y);
+      } else {
+        return;
+      }
+      rebuildPlaygroundMeshes();
+      return;
+    }
+    case "plain":
+    case "ice":
+    case "sand":
+    case "carpet":
+    case "bumper": {
+      const surface = ui.editorTool.value === "plain" ? "" : ui.editorTool.value;
+      if (sim.surfaces[x][y] !== surface) {
+        sim.surfaces[x][y] = surface;
+        rebuildPlaygroundMeshes();
+      }
+      return;
+    }
+    case "key":
+    case "switch":
+    case "door":
+    case "teleporter": {
+      const tool = ui.editorTool.value;
+      const list = { key: sim.keys, switch: sim.switches, door: sim.doors, teleporter: sim.teleporters }[tool];
+      const index = list.findIndex((item) => item.x === x && item.y === y);
+      if (first) {
+        state.editLinkAdd = index < 0;
+      }
+      if (state.editLinkAdd && index < 0) {
+        const channel = clamp(parseInt(ui.editorChannel.value, 10) || 0, 0, channelCount - 1);
+        if (tool === "key") {
+          list.push({ x, y });
+        } else if (tool === "teleporter") {
+          list.push({ x, y, channel, exit: "" });
+        } else {
+          list.push({ x, y, channel });
+        }
+      } else if (!state.editLinkAdd && index >= 0) {
+        list.splice(index, 1);
+      } else {
+        return;
+      }
+      resetLinks(sim);
+      rebuildPlaygroundMeshes();
+      return;
+    }
+    case "checkpoint": {
+      const index = checkpointIndex(sim, x, y);
+      if (first) {
+        state.editCheckpointAdd = index < 0;
+      }
+      if (state.editCheckpointAdd && index < 0) {
+        sim.checkpoints.push({ x, y });
+      } else if (!state.editCheckpointAdd && index >= 0) {
+        sim.checkpoints.splice(index, 1);
+      } else {
+        return;
+      }
+      clearCheckpoints(sim);
+      rebuildPlaygroundMeshes();
+      return;
+    }
+    default:
+      return;
+  }
+  if (field !== cell) {
+    sim.cells[x][y] = field;
+    rebuildPlaygroundMeshes();
+  }
+}
+
+function newEditorBoard() {
+  const width = clamp(parseInt(ui.editorWidth.value, 10) || 1, 1, maxPlaygrndLength);
+  const layerHeight = clamp(parseInt(ui.editorHeight.value, 10) || 1, 1, maxPlaygrndLength);
+  const layers = clamp(parseInt(ui.editorLayers.value, 10) || 1, 1, Math.floor(maxPlaygrndLength / layerHeight));
+  const height = layerHeight * layers;
+  const level = {
+    width,
+    height,
+    layers,
+    layerHeight,
+    cells: Array.from({ length: width }, () => Array.from({ length: height }, () => ".")),
+  };
+  setLevel(sim, level, { starts: [{ x: 0, y: 0 }], goals: [{ x: width - 1, y: height - 1 }] });
+  enterEditor();
+  rebuildPlaygroundMeshes();
+}
+
+function exportEditorLevel() {
+  ui.editorText.value = serializeLevel(sim);
+}
+
+function importEditorLevel() {
+  const level = parseLevel(ui.editorText.value);
+  const resolved = resolveLevel(level);
+  const errors = [...level.errors, ...resolved.errors];
+  if (errors.length > 0) {
+    const err = errors[0];
+    showMessage("Import failed", `Line ${err.line} column ${err.column}: ${err.message}`);
+    return;
+  }
+  setLevel(sim, level, resolved);
+  enterEditor();
+  rebuildPlaygroundMeshes();
+}
+
+function setupEditor() {
+  ui.toggleEditor.addEventListener("click", () => {
+    if (state.mode === "editing") {
+      returnFromEditor();
+    } else {
+      enterEditor();
+    }
+  });
+  ui.editorPlay.addEventListener("click", startPlayTest);
+  ui.editorNew.addEventListener("click", newEditorBoard);
+  ui.editorExport.addEventListener("click", exportEditorLevel);
+  ui.editorImport.addEventListener("click", importEditorLevel);
+  ui.editorLayer.addEventListener("change", () => {
+    state.editLayer = clamp(parseInt(ui.editorLayer.value, 10) || 0, 0, sim.layers - 1);
+    ui.editorLayer.value = String(state.editLayer);
   });
-  ui.exitGame.addEventListener("click", () => {
-    stopGame("Exited.");
+  window.addEventListener("mouseup", () => {
+    state.editPainting = false;
   });
 }
 
+function startEndless() {
+  leaveEditor();
+  state.replay = null;
+  state.playTest = false;
+  state.endless = true;
+  state.lives = state.maxLives;
+  state.seed = ui.seed.value.trim() || Math.random().toString(36).slice(2, 8);
+  ui.seed.value = state.seed;
+  state.level = 0;
+  nextLevel()
+    .then(() => setMode("intro"))
+    .catch(showError);
+}
+
+function applyPhysics() {
+  if (state.replay) {
+    return;
+  }
+  const physics = { ...state.levelPhysics, ...state.physicsOverride };
+  sim.gravity = physics.gravity ?? parseFloat(ui.gravity.value);
+  sim.wallBrake = physics.elasticity ?? parseFloat(ui.elasticity.value);
+  sim.rubbing = physics.rubbing ?? parseFloat(ui.rubbing.value);
+  state.recording = null;
+}
+
+function togglePause() {
+  if (state.mode === "paused") {
+    resumeGame();
+  } else if (state.mode === "intro" || state.mode === "level-complete" || state.mode === "game-over") {
+    goToMenu();
+  } else {
+    pauseGame();
+  }
+}
+
+function restartOrRetry() {
+  if (state.mode === "game-over") {
+    retryGame();
+  } else {
+    restartLevel();
+  }
+}
+
+function levelBoard() {
+  state.angleX = 0;
+  state.angleY = 0;
+  state.angleZ = 0;
+}
+
+function toggleCamMode() {
+  state.dynamicCamMode = !state.dynamicCamMode;
+  storeSettings("dynamicCamMode");
+}
+
+function pollGamepad() {
+  const pad = [...(navigator.getGamepads?.() ?? [])].find(Boolean);
+  if (!pad) {
+    return;
+  }
+  const pressed = pad.buttons.map((button) => button.pressed);
+  const justPressed = (index) => pressed[index] && !state.padButtons[index];
+  const actions = [
+    [0, confirmMode],
+    [1, restartOrRetry],
+    [2, levelBoard],
+    [3, toggleCamMode],
+    [8, goToMenu],
+    [9, togglePause],
+  ].filter(([index]) => justPressed(index));
+  state.padButtons = pressed;
+  actions.forEach(([, run]) => run());
+
+  if ((state.mode !== "playing" && state.mode !== "falling") || state.replay) {
+    state.padTilting = false;
+    return;
+  }
+  const left = shapeStick(pad.axes[0] ?? 0, pad.axes[1] ?? 0, padDeadZone, padCurve);
+  const right = shapeStick(pad.axes[2] ?? 0, pad.axes[3] ?? 0, padDeadZone, padCurve);
+  const stick = Math.hypot(right.x, right.y) > Math.hypot(left.x, left.y) ? right : left;
+  const active = stick.x !== 0 || stick.y !== 0;
+  if (active || state.padTilting) {
+    state.angleX = stick.y * maxAngle;
+    state.angleZ = -stick.x * maxAngle;
+  }
+  state.padTilting = active;
+}
+
+function confirmMode() {
+  switch (state.mode) {
+    case "menu":
+      playLevel(parseInt(ui.levelSelect.value, 10) || 1);
+      break;
+    case "intro":
+      restartLevel();
+      break;
+    case "paused":
+      resumeGame();
+      break;
+    case "level-complete":
+      continueGame();
+      break;
+    case "game-over":
+      retryGame();
+      break;
+    default:
+      break;
+  }
+}
+
 function setupInput() {
   renderer.domElement.addEventListener("mousedown", (event) => {
-    if (event.button === 0) {
+    if (state.mode === "editing") {
+      if (event.button === 0) {
+        state.editPainting = true;
+        paintAt(event, true);
+      } else if (event.button === 1) {
+        ui.panel.classList.toggle("hidden");
+      }
+      return;
+    }
+    if (event.button === 0 && (state.mode === "playing" || state.mode === "falling")) {
       state.moveBoard = !state.moveBoard;
       if (state.moveBoard) {
         renderer.domElement.requestPointerLock?.();
@@ -883,67 +2087,105 @@ function setupInput() {
     } else if (event.button === 1) {
       ui.panel.classList.toggle("hidden");
     } else if (event.button === 2) {
-      state.dynamicCamMode = !state.dynamicCamMode;
+      toggleCamMode();
     }
   });
 
   document.addEventListener("pointerlockchange", () => {
-    if (document.pointerLockElement !== renderer.domElement) {
+    if (document.pointerLockElement !== renderer.domElement && state.moveBoard) {
       state.moveBoard = false;
+      pauseGame();
+    }
+  });
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      pauseGame();
     }
   });
 
   document.addEventListener("mousemove", (event) => {
+    if (state.mode === "editing" && state.editPainting) {
+      paintAt(event, false);
+      return;
+    }
     if (!state.moveBoard) {
       return;
     }
-    if (state.tiltEnabled) {
+    if (state.tiltEnabled || state.replay) {
       return;
     }
-    const dx = event.movementX || 0;
-    const dy = event.movementY || 0;
+    const scale = mouseScale * state.mouseSensity;
+    const dx = (event.movementX || 0) * scale * (state.invertMouseX ? -1 : 1);
+    const dy = (event.movementY || 0) * scale * (state.invertMouseY ? -1 : 1);
+    state.angleX = clamp(state.angleX + dy, -maxAngle, maxAngle);
+    state.angleZ = clamp(state.angleZ - dx, -maxAngle, maxAngle);
+    state.lastInputTime = performance.now() / 1000;
+  });
 
-    if (dy < 0 && state.angleX >= -maxAngle) {
-      state.angleX -= state.mouseSensity;
-    }
-    if (dy > 0 && state.angleX <= maxAngle) {
-      state.angleX += state.mouseSensity;
-    }
-    if (dx < 0 && state.angleZ <= maxAngle) {
-      state.angleZ += state.mouseSensity;
-    }
-    if (dx > 0 && state.angleZ >= -maxAngle) {
-      state.angleZ -= state.mouseSensity;
-    }
+  document.addEventListener("keyup", (event) => {
+    state.keys.delete(event.key.toLowerCase());
+  });
+
+  window.addEventListener("blur", () => {
+    state.keys.clear();
   });
 
   document.addEventListener("keydown", (event) => {
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) {
+      return;
+    }
+    if (event.key === "Enter" && event.target instanceof HTMLButtonElement) {
+      return;
+    }
+    if (["w", "a", "s", "d"].includes(event.key.toLowerCase())) {
+      state.keys.add(event.key.toLowerCase());
+      return;
+    }
     switch (event.key) {
       case "q":
-        stopGame("Exited.");
+      case "m":
+        goToMenu();
+        break;
+      case "Escape":
+      case "p":
+        togglePause();
+        break;
+      case "Enter":
+        confirmMode();
+        break;
+      case "r":
+        restartOrRetry();
         break;
       case "-":
         state.fovy += 0.1;
+        storeSettings("fovy");
         break;
       case "+":
         state.fovy -= 0.1;
+        storeSettings("fovy");
         break;
       case "z":
-        state.angleX = 0;
-        state.angleY = 0;
-        state.angleZ = 0;
+        levelBoard();
+        break;
+      case "i":
+        state.debug = !state.debug;
         break;
       case "ArrowUp":
         state.eyeZ = Math.max(0.1, state.eyeZ - 0.1);
+        storeSettings("eye");
         break;
       case "ArrowDown":
         state.eyeZ += 0.1;
+        storeSettings("eye");
         break;
       case "ArrowLeft":
         state.eyeY += 0.1;
+        storeSettings("eye");
         break;
       case "ArrowRight":
         state.eyeY -= 0.1;
+        storeSettings("eye");
         break;
       default:
         break;
@@ -961,7 +2203,7 @@ function clamp(value, min, max) {
 
 async function requestTiltPermission() {
   if (typeof DeviceOrientationEvent === "undefined") {
-    alert("Device orientation not supported.");
+    showMessage("Tilt", "Device orientation is not supported on this device. Drag on the board to use the touch joystick instead.");
     return false;
   }
   if (typeof DeviceOrientationEvent.requestPermission === "function") {
@@ -969,36 +2211,223 @@ async function requestTiltPermission() {
       const result = await DeviceOrientationEvent.requestPermission();
       return result === "granted";
     } catch (err) {
-      alert("Tilt permission denied.");
+      showMessage("Tilt", "Tilt permission was denied. Drag on the board to use the touch joystick instead.");
       return false;
     }
   }
   return true;
 }
 
+function updateTiltInput(dt) {
+  const now = performance.now() / 1000;
+  const targetX = (state.keys.has("d") ? 1 : 0) - (state.keys.has("a") ? 1 : 0);
+  const targetY = (state.keys.has("s") ? 1 : 0) - (state.keys.has("w") ? 1 : 0);
+  state.keyAxisX = approach(state.keyAxisX, targetX, dt, keyEaseTime);
+  state.keyAxisY = approach(state.keyAxisY, targetY, dt, keyEaseTime);
+  const keyActive = targetX !== 0 || targetY !== 0;
+  if (keyActive || state.keyTilting) {
+    state.keyTilting = keyActive || Math.abs(state.keyAxisX) + Math.abs(state.keyAxisY) > 0.01;
+    if (!state.keyTilting) {
+      state.keyAxisX = 0;
+      state.keyAxisY = 0;
+    }
+    state.angleX = state.keyAxisY * maxAngle;
+    state.angleZ = -state.keyAxisX * maxAngle;
+  }
+  if (keyActive || state.padTilting || state.joystick) {
+    state.lastInputTime = now;
+  }
+  if (state.springReturn && !state.tiltEnabled && !state.keyTilting && now - state.lastInputTime > springDelay) {
+    state.angleX = approach(state.angleX, 0, dt, springTime);
+    state.angleZ = approach(state.angleZ, 0, dt, springTime);
+  }
+}
+
+function joystickOffset(stick) {
+  const dx = (stick.x - stick.originX) / joystickRadius;
+  const dy = (stick.y - stick.originY) / joystickRadius;
+  const length = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+  return { x: dx / length, y: dy / length };
+}
+
+function touchDistance(touches) {
+  const dx = touches[0].clientX - touches[1].clientX;
+  const dy = touches[0].clientY - touches[1].clientY;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function joystickTilt() {
+  if ((state.mode !== "playing" && state.mode !== "falling") || state.replay) {
+    return;
+  }
+  if (!state.joystick) {
+    levelBoard();
+    return;
+  }
+  const offset = joystickOffset(state.joystick);
+  const stick = shapeStick(offset.x, offset.y, touchDeadZone, touchCurve);
+  state.angleX = stick.y * maxAngle;
+  state.angleZ = -stick.x * maxAngle;
+}
+
+function setupTouch() {
+  const canvas = renderer.domElement;
+  canvas.addEventListener(
+    "touchstart",
+    (event) => {
+      if (state.mode === "editing") {
+        return;
+      }
+      event.preventDefault();
+      if (event.touches.length >= 2) {
+        state.joystick = null;
+        state.pinch = { distance: touchDistance(event.touches), fovy: state.fovy };
+        return;
+      }
+      const touch = event.changedTouches[0];
+      const now = performance.now();
+      if (now - state.lastTap < doubleTapTime) {
+        toggleCamMode();
+        state.lastTap = 0;
+      } else {
+        state.lastTap = now;
+      }
+      state.joystick = {
+        id: touch.identifier,
+        originX: touch.clientX,
+        originY: touch.clientY,
+        x: touch.clientX,
+        y: touch.clientY,
+      };
+    },
+    { passive: false }
+  );
+
+  canvas.addEventListener(
+    "touchmove",
+    (event) => {
+      if (state.mode === "editing") {
+        return;
+      }
+      event.preventDefault();
+      if (state.pinch && event.touches.length >= 2) {
+        state.fovy = clamp((state.pinch.fovy * state.pinch.distance) / touchDistance(event.touches), 20, 110);
+        return;
+      }
+      const touch = [...event.changedTouches].find((t) => t.identifier === state.joystick?.id);
+      if (touch) {
+        state.joystick.x = touch.clientX;
+        state.joystick.y = touch.clientY;
+        joystickTilt();
+      }
+    },
+    { passive: false }
+  );
+
+  const endTouch = (event) => {
+    if (state.pinch && event.touches.length < 2) {
+      state.pinch = null;
+      storeSettings("fovy");
+    }
+    if ([...event.changedTouches].some((t) => t.identifier === state.joystick?.id)) {
+      state.joystick = null;
+      joystickTilt();
+    }
+  };
+  canvas.addEventListener("touchend", endTouch);
+  canvas.addEventListener("touchcancel", endTouch);
+}
+
+async function startCalibration() {
+  if (!(await requestTiltPermission())) {
+    return;
+  }
+  pauseGame();
+  state.calibration = { start: performance.now() / 1000, samples: [] };
+  showOverlay({
+    title: "Calibrating tilt",
+    text: "Hold the device still in your playing position.",
+    actions: [["Cancel", cancelCalibration]],
+  });
+}
+
+function cancelCalibration() {
+  state.calibration = null;
+  renderOverlay();
+}
+
+function calibrationSample(tilt) {
+  const calibration = state.calibration;
+  const first = calibration.samples[0];
+  const now = performance.now() / 1000;
+  if (
+    first &&
+    (Math.abs(tilt.beta - first.beta) > calibrateTolerance || Math.abs(tilt.gamma - first.gamma) > calibrateTolerance)
+  ) {
+    calibration.start = now;
+    calibration.samples = [];
+  }
+  calibration.samples.push(tilt);
+  const left = calibrateTime - (now - calibration.start);
+  if (left > 0) {
+    ui.overlayText.textContent = `Hold the device still in your playing position. ${left.toFixed(1)} s`;
+    return;
+  }
+  const count = calibration.samples.length;
+  state.tiltBaseline = {
+    beta: calibration.samples.reduce((sum, sample) => sum + sample.beta, 0) / count,
+    gamma: calibration.samples.reduce((sum, sample) => sum + sample.gamma, 0) / count,
+  };
+  state.tiltFiltered = { x: 0, y: 0 };
+  state.calibration = null;
+  storeSettings("tiltBaseline");
+  showMessage("Tilt calibrated", "This position now holds the board level.");
+}
+
+function screenOrientation() {
+  return screen.orientation?.angle ?? window.orientation ?? 0;
+}
+
 function setupTilt() {
   window.addEventListener("deviceorientation", (event) => {
     if (event.beta == null || event.gamma == null) {
       return;
     }
     state.lastTilt = { beta: event.beta, gamma: event.gamma };
-    if (!state.tiltEnabled) {
+    if (state.calibration) {
+      calibrationSample(state.lastTilt);
+      return;
+    }
+    if (!state.tiltEnabled || state.replay) {
       return;
     }
-    const beta = event.beta - state.tiltBaseline.beta;
-    const gamma = event.gamma - state.tiltBaseline.gamma;
-    const factor = 0.5;
-    state.angleX = clamp(beta * factor, -maxAngle, maxAngle);
-    state.angleZ = clamp(-gamma * factor, -maxAngle, maxAngle);
+    const tilt = screenTilt(
+      event.beta - state.tiltBaseline.beta,
+      event.gamma - state.tiltBaseline.gamma,
+      screenOrientation()
+    );
+    const dt = state.tiltTime === null ? 0 : clamp((event.timeStamp - state.tiltTime) / 1000, 0, maxFrameTime);
+    state.tiltTime = event.timeStamp;
+    state.tiltFiltered = {
+      x: approach(state.tiltFiltered.x, tilt.x, dt, tiltFilterTime),
+      y: approach(state.tiltFiltered.y, tilt.y, dt, tiltFilterTime),
+    };
+    const deadZone = tiltDeadZone / tiltRange;
+    state.angleX = shapeAxis(state.tiltFiltered.y / tiltRange, deadZone, state.tiltCurve) * maxAngle;
+    state.angleZ = -shapeAxis(state.tiltFiltered.x / tiltRange, deadZone, state.tiltCurve) * maxAngle;
+  });
+  screen.orientation?.addEventListener("change", () => {
+    state.tiltFiltered = { x: 0, y: 0 };
   });
 }
 
 async function init() {
   resize();
   setupUi();
+  setupEditor();
   setupInput();
+  setupTouch();
   setupTilt();
-  initPlayground();
 
   const [pine, mahagony, ball, goal] = await Promise.all([
     loadTexture("pine.tga"),
@@ -1009,6 +2438,7 @@ async function init() {
 
   materials.pine = new THREE.MeshStandardMaterial({ map: pine });
   materials.pineHole = new THREE.MeshStandardMaterial({ map: pine, side: THREE.DoubleSide });
+  materials.dropHole = new THREE.MeshStandardMaterial({ map: pine, color: 0x9fd4a8, side: THREE.DoubleSide });
   materials.mahagony = new THREE.MeshStandardMaterial({ map: mahagony });
   materials.frame = new THREE.MeshStandardMaterial({
     map: mahagony,
@@ -1022,37 +2452,112 @@ async function init() {
     metalness: 0.05,
   });
   materials.ball = new THREE.MeshStandardMaterial({ map: ball });
+  materials.ghost = new THREE.MeshStandardMaterial({
+    map: ball,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false,
+  });
   materials.goal = new THREE.MeshStandardMaterial({ map: goal });
+  materials.checkpoint = new THREE.MeshStandardMaterial({ map: pine, color: 0x8fb8ff });
+  materials.checkpointReached = new THREE.MeshStandardMaterial({ map: pine, color: 0x8fe08f });
   materials.hole = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 1 });
-
-  await nextLevel();
+  materials.iceFloor = new THREE.MeshStandardMaterial({ map: surfaceTexture("ice"), roughness: 0.1 });
+  materials.sandFloor = new THREE.MeshStandardMaterial({ map: surfaceTexture("sand"), roughness: 1 });
+  materials.carpetFloor = new THREE.MeshStandardMaterial({ map: surfaceTexture("carpet"), roughness: 1 });
+  materials.switchOff = new THREE.MeshStandardMaterial({ map: pine, color: 0xffc870 });
+  materials.switchOn = new THREE.MeshStandardMaterial({ map: pine, color: 0xff8a3c });
+  materials.teleporter = new THREE.MeshStandardMaterial({ map: pine, color: 0xc08cff });
+  materials.door = new THREE.MeshStandardMaterial({ color: 0x8a9099, roughness: 0.4, metalness: 0.6 });
+  materials.key = new THREE.MeshStandardMaterial({ color: 0xffd23c, roughness: 0.3, metalness: 0.8 });
+  materials.bumperWall = new THREE.MeshStandardMaterial({ map: surfaceTexture("bumper"), roughness: 0.6 });
+
+  const query = queryOverrides(window.location.search, loadSettings(localStore()));
+  applySettings(query.settings);
+  state.physicsOverride = query.physics;
+  state.debug = query.debug;
+  state.packFile = query.pack ?? levelPackFile;
+  state.pack = await loadLevelPack(state.packFile);
+  if (query.pack && !state.pack) {
+    throw new Error(`Missing level pack: ${query.pack}`);
+  }
+  state.progress = loadProgress(localStore());
+  state.ghosts = loadGhosts(localStore());
+  ui.playerName.value = state.progress.player;
+  updateLevelSelect();
+  if (query.level) {
+    await openLevel(query.level);
+  } else {
+    await nextLevel();
+    renderOverlay();
+  }
 
   let lastTime = performance.now();
   let accumulator = 0;
-  const step = 1 / aniStep;
 
   function frame(now) {
-    if (state.stopped) {
-      return;
-    }
-    const dt = (now - lastTime) / 1000;
+    const dt = Math.min(maxFrameTime, (now - lastTime) / 1000);
+    const rate = state.replay?.stepRate ?? state.stepRate;
+    const step = 1 / rate;
     lastTime = now;
     accumulator += dt;
+    state.fps = dt > 0 ? approach(state.fps, 1 / dt, dt, 0.5) : state.fps;
 
-    clampBoardToBottom();
-    while (accumulator >= step) {
-      stepPhysics();
-      accumulator -= step;
-    }
+    pollGamepad();
+    if (state.mode !== "playing" && state.mode !== "falling") {
+      accumulator = 0;
+    } else {
+      if (!state.replay) {
+        updateTiltInput(dt);
+        clampBoardToBottom();
+      }
+      while (accumulator >= step) {
+        accumulator -= step;
+        if (sim.status !== "playing") {
+          continue;
+        }
+        const input = nextInput();
+        if (!input) {
+          endReplay(state.replay.result);
+          break;
+        }
+        const event = stepSim(sim, input, step);
+        if (!state.replay) {
+          state.runTick += 1;
+          updateSplit();
+        }
+        if (event === "goal" || event === "timeout" || (event === "fall" && state.lives <= 1)) {
+          endRecording(event);
+        }
+        if (event === "fall") {
+          setMode("falling");
+        } else if (event === "goal") {
+          reachGoal();
+        } else if (event === "timeout" && state.replay) {
+          endReplay("timeout");
+          break;
+        } else if (event === "timeout") {
+          stopGame("Time is up.");
+          break;
+        }
+      }
 
-    const elapsed = now / 1000 - state.levelStart;
-    state.levelTime = Math.max(0, Math.floor(levelPeriod - elapsed));
-    if (state.levelTime <= 0 && !state.stopped) {
-      stopGame("Time is up.");
+      const event = updateSim(sim);
+      if (event === "fallen" && state.replay && state.replayTick < state.replay.angles.length) {
+        resetRun();
+        setMode("playing");
+      } else if (event && state.replay) {
+        endReplay(event === "fallen" ? "fall" : event);
+      } else if (event === "fallen") {
+        loseLife();
+      }
     }
 
-    updateBallFall(now / 1000);
-    updateBallMesh();
+    updateCheckpointTiles();
+    updateLinkMeshes(dt);
+    updateBallMesh(accumulator * rate);
+    updateGhostMesh(accumulator * rate);
+    updateLayers(dt);
     updateBoardTransform();
     updateCamera();
     drawHud();
@@ -1064,7 +2569,4 @@ async function init() {
   requestAnimationFrame(frame);
 }
 
-init().catch((err) => {
-  console.error(err);
-  alert(err.message);
-});
+init().catch(showError);
@@ -0,0 +1,99 @@
+export const progressKey = "kugellaby.progress";
+export const leaderboardSize = 10;
+
+export function loadProgress(storage) {
+  let data = null;
+  try {
+    data = JSON.parse(storage?.getItem(progressKey) ?? "null");
+  } catch (err) {
+    data = null;
+  }
+  if (!data || typeof data.packs !== "object" || data.packs === null) {
+    return { player: "", packs: {} };
+  }
+  return { player: data.player ?? "", packs: data.packs };
+}
+
+export function saveProgress(storage, progress) {
+  try {
+    storage?.setItem(progressKey, JSON.stringify(progress));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export function packProgress(progress, pack) {
+  if (!progress.packs[pack]) {
+    progress.packs[pack] = { unlocked: 1, levels: {} };
+  }
+  return progress.packs[pack];
+}
+
+export function levelRecord(packData, level) {
+  return packData.levels[level] ?? null;
+}
+
+export function isUnlocked(packData, level) {
+  return level >= 1 && level <= packData.unlocked;
+}
+
+export function recordCompletion(packData, level, run) {
+  const record = packData.levels[level] ?? { completed: true, best: null, board: [] };
+  record.completed = true;
+  if (record.best === null || run.time < record.best) {
+    record.best = run.time;
+  }
+  record.board = [...record.board, run].sort((a, b) => a.time - b.time).slice(0, leaderboardSize);
+  packData.levels[level] = record;
+  packData.unlocked = Math.max(packData.unlocked, level + 1);
+  return record;
+}
+
+export const ghostsKey = "kugellaby.ghosts";
+export const ghostRate = 30;
+
+function validGhost(ghost) {
+  return (
+    ghost &&
+    Number.isFinite(ghost.time) &&
+    ghost.stepRate > 0 &&
+    Array.isArray(ghost.positions) &&
+    ghost.positions.length > 0 &&
+    typeof ghost.cellTicks === "object" &&
+    ghost.cellTicks !== null
+  );
+}
+
+export function ghostFromTrace(trace) {
+  const every = Math.max(1, Math.round(trace.stepRate / ghostRate));
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    time: trace.time,
+    stepRate: trace.stepRate / every,
+    positions: trace.positions.filter((_, tick) => tick % every === 0).map(([x, z]) => [round(x), round(z)]),
+    cellTicks: Object.fromEntries([...trace.cellTicks].map(([cell, tick]) => [cell, tick / every])),
+  };
+}
+
+export function loadGhosts(storage) {
+  let data = null;
+  try {
+    data = JSON.parse(storage?.getItem(ghostsKey) ?? "null");
+  } catch (err) {
+    data = null;
+  }
+  if (!data || typeof data !== "object") {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(data).filter(([, ghost]) => validGhost(ghost)));
+}
+
+export function saveGhosts(storage, ghosts) {
+  try {
+    storage?.setItem(ghostsKey, JSON.stringify(ghosts));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
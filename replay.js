@@ -0,0 +1,126 @@
+import { plateLength, serializeLevel } from "./level.js";
+import { createSim, loadLevelText, resetBall, startLevel, stepSim, leadBall } from "./sim.js";
+
+export const replayFormat = 1;
+
+export function createRecording(sim, info = {}) {
+  return {
+    format: replayFormat,
+    level: info.level ?? 0,
+    source: info.source ?? "pack",
+    pack: info.pack ?? null,
+    seed: info.seed ?? null,
+    title: info.title ?? "",
+    grid: serializeLevel(sim),
+    time: sim.levelPeriod,
+    balls: sim.ballsNeeded,
+    stepRate: info.stepRate,
+    physics: { gravity: sim.gravity, elasticity: sim.wallBrake, rubbing: sim.rubbing },
+    angles: [],
+    result: null,
+  };
+}
+
+export function recordTick(recording, input) {
+  recording.angles.push([input.angleX, input.angleZ]);
+}
+
+export function finishRecording(recording, result) {
+  recording.result = result;
+}
+
+export function recordedInput(recording, tick) {
+  const angles = recording.angles[tick];
+  return angles ? { angleX: angles[0], angleZ: angles[1] } : null;
+}
+
+export function recordingKey(recording) {
+  if (recording.source === "editor") {
+    return `editor:${recording.grid}`;
+  }
+  if (recording.source === "endless") {
+    return `endless:${recording.seed ?? ""}:${recording.level}`;
+  }
+  return `pack:${recording.pack ?? ""}:${recording.level}`;
+}
+
+export function ballCell(x, z) {
+  return `${Math.floor(x / plateLength)},${Math.floor(z / plateLength)}`;
+}
+
+export function recordingTime(recording) {
+  return recording.angles.length / recording.stepRate;
+}
+
+export function replayEntry(recording) {
+  return {
+    title: recording.title,
+    grid: recording.grid,
+    time: recording.time,
+    balls: recording.balls ?? null,
+    physics: { ...recording.physics },
+  };
+}
+
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+export function parseRecording(text) {
+  const recording = JSON.parse(text);
+  if (!recording || recording.format !== replayFormat) {
+    throw new Error("Unsupported replay format.");
+  }
+  const validAngles =
+    Array.isArray(recording.angles) &&
+    recording.angles.every((a) => Array.isArray(a) && Number.isFinite(a[0]) && Number.isFinite(a[1]));
+  if (typeof recording.grid !== "string" || !validAngles || !(recording.stepRate > 0)) {
+    throw new Error("Invalid replay file.");
+  }
+  recording.physics = recording.physics ?? {};
+  return recording;
+}
+
+export function applyRecordingPhysics(sim, recording) {
+  const defaults = createSim();
+  sim.gravity = recording.physics.gravity ?? defaults.gravity;
+  sim.wallBrake = recording.physics.elasticity ?? defaults.wallBrake;
+  sim.rubbing = recording.physics.rubbing ?? defaults.rubbing;
+}
+
+export function simulateRecording(recording, onTick = null) {
+  let tick = 0;
+  const sim = createSim({ now: () => tick / recording.stepRate });
+  loadLevelText(sim, recording.grid, replayEntry(recording), "replay");
+  applyRecordingPhysics(sim, recording);
+  startLevel(sim);
+  onTick?.(sim, tick);
+
+  let result = null;
+  while (!result && tick < recording.angles.length) {
+    const event = stepSim(sim, recordedInput(recording, tick), 1 / recording.stepRate);
+    tick += 1;
+    if (event === "fall" && tick < recording.angles.length) {
+      resetBall(sim);
+    } else if (event === "fall" || event === "goal" || event === "timeout") {
+      result = event;
+    }
+    onTick?.(sim, tick);
+  }
+  const ball = leadBall(sim);
+  return { result, ticks: tick, time: tick / recording.stepRate, ballX: ball.x, ballZ: ball.z };
+}
+
+export function traceRecording(recording) {
+  const positions = [];
+  const cellTicks = new Map();
+  const run = simulateRecording(recording, (sim, tick) => {
+    const ball = leadBall(sim);
+    positions.push([ball.x, ball.z]);
+    const cell = ballCell(ball.x, ball.z);
+    if (!cellTicks.has(cell)) {
+      cellTicks.set(cell, tick);
+    }
+  });
+  return { stepRate: recording.stepRate, positions, cellTicks, result: run.result, time: run.time };
+}
@@ -0,0 +1,130 @@
+export const settingsKey = "kugellaby.settings";
+
+export const defaultSettings = {
+  gravity: 9.81,
+  elasticity: 0.6,
+  rubbing: 0.015,
+  stepRate: 120,
+  lives: 3,
+  mouseSensity: 1,
+  invertMouseX: false,
+  invertMouseY: false,
+  springReturn: false,
+  dynamicCamMode: false,
+  fovy: 65,
+  eye: { x: 0, y: 10, z: 0.1 },
+  tiltBaseline: { beta: 0, gamma: 0 },
+  tiltCurve: 1,
+};
+
+const ranges = {
+  gravity: [0.1, 100],
+  elasticity: [0, 1],
+  rubbing: [0, 1],
+  stepRate: [25, 1000],
+  lives: [1, 99],
+  mouseSensity: [0.05, 10],
+  fovy: [10, 120],
+  tiltCurve: [0.2, 5],
+};
+
+const eyeRanges = { x: [-100, 100], y: [0.5, 100], z: [0.1, 100] };
+const tiltRange = [-180, 180];
+
+function finite(value) {
+  const number = typeof value === "string" ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : null;
+}
+
+function numberList(text, count) {
+  const values = String(text).split(",").map(finite);
+  return values.length === count && values.every((v) => v !== null) ? values : null;
+}
+
+function clampTo(value, range) {
+  return value === null ? null : Math.min(range[1], Math.max(range[0], value));
+}
+
+function inRange(value, range) {
+  return value !== null && value >= range[0] && value <= range[1] ? value : null;
+}
+
+function mergeSettings(base, data) {
+  const settings = { ...base, eye: { ...base.eye }, tiltBaseline: { ...base.tiltBaseline } };
+  Object.keys(ranges).forEach((key) => {
+    settings[key] = clampTo(finite(data[key]), ranges[key]) ?? settings[key];
+  });
+  settings.lives = Math.round(settings.lives);
+  settings.stepRate = Math.round(settings.stepRate);
+  ["invertMouseX", "invertMouseY", "springReturn", "dynamicCamMode"].forEach((key) => {
+    if (typeof data[key] === "boolean") {
+      settings[key] = data[key];
+    }
+  });
+  ["x", "y", "z"].forEach((key) => {
+    settings.eye[key] = clampTo(finite(data.eye?.[key]), eyeRanges[key]) ?? settings.eye[key];
+  });
+  ["beta", "gamma"].forEach((key) => {
+    settings.tiltBaseline[key] = clampTo(finite(data.tiltBaseline?.[key]), tiltRange) ?? settings.tiltBaseline[key];
+  });
+  return settings;
+}
+
+export function loadSettings(storage) {
+  let data = null;
+  try {
+    data = JSON.parse(storage?.getItem(settingsKey) ?? "null");
+  } catch (err) {
+    data = null;
+  }
+  return mergeSettings(defaultSettings, data && typeof data === "object" ? data : {});
+}
+
+export function saveSettings(storage, settings) {
+  try {
+    storage?.setItem(settingsKey, JSON.stringify(settings));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export function queryOverrides(search, settings) {
+  const params = new URLSearchParams(search);
+  const param = (name, key = name) => (params.has(name) ? inRange(finite(params.get(name)), ranges[key]) : null);
+  const data = {
+    gravity: param("gravity"),
+    elasticity: param("elasticity"),
+    rubbing: param("rubbing"),
+    stepRate: param("rate", "stepRate"),
+    lives: param("lives", "lives"),
+    mouseSensity: param("sensitivity", "mouseSensity"),
+    fovy: param("fovy"),
+  };
+  const cam = params.get("cam");
+  if (cam === "dynamic" || cam === "static") {
+    data.dynamicCamMode = cam === "dynamic";
+  }
+  const eye = params.has("eye") ? numberList(params.get("eye"), 3) : null;
+  if (eye && ["x", "y", "z"].every((key, index) => inRange(eye[index], eyeRanges[key]) !== null)) {
+    data.eye = { x: eye[0], y: eye[1], z: eye[2] };
+  }
+  const tilt = params.has("tilt") ? numberList(params.get("tilt"), 2) : null;
+  if (tilt && tilt.every((value) => inRange(value, tiltRange) !== null)) {
+    data.tiltBaseline = { beta: tilt[0], gamma: tilt[1] };
+  }
+  const physics = {};
+  ["gravity", "elasticity", "rubbing"].forEach((key) => {
+    if (finite(data[key]) !== null) {
+      physics[key] = finite(data[key]);
+    }
+  });
+  const level = finite(params.get("level"));
+  return {
+    settings: mergeSettings(settings, data),
+    physics,
+    level: level !== null && level >= 1 ? Math.floor(level) : null,
+    pack: params.get("pack") || null,
+    debug: params.has("debug"),
+  };
+}
@@ -0,0 +1,730 @@
+import {
+  plateLength,
+  ballRad,
+  wallWidth,
+  fieldHole,
+  fieldWalls,
+  fieldShapes,
+  offsetShape,
+  shapeNearest,
+  rowLayer,
+  parseLevel,
+  resolveLevel,
+} from "./level.js";
+
+export const levelPeriod = 120;
+
+export const channelCount = 10;
+
+const exitDirections = {
+  "^": { x: 0, z: -1 },
+  v: { x: 0, z: 1 },
+  "<": { x: -1, z: 0 },
+  ">": { x: 1, z: 0 },
+};
+
+export const surfacePhysics = {
+  ice: { rubbing: 0.002, wallBrake: 0.75 },
+  sand: { rubbing: 0.12, wallBrake: 0.3 },
+  carpet: { rubbing: 0.05, wallBrake: 0.45 },
+  bumper: { rubbing: null, wallBrake: 0.9, kick: 2.5 },
+};
+
+const StopSpeed = 0.25;
+const maxSpeed = 40;
+const rollFactor = 5 / 7;
+const contactGap = 0.0005;
+const maxSubsteps = 64;
+const maxBounces = 4;
+const rollDuration = 0.35;
+const fallDuration = 0.8;
+const fallEndWait = 3.0;
+const layerDropDuration = 0.3;
+const landingBrake = 0.5;
+
+export function createSim(options = {}) {
+  return {
+    now: options.now ?? (() => 0),
+    width: 0,
+    height: 0,
+    layers: 1,
+    layerHeight: 0,
+    cells: [],
+    surfaces: [],
+    starts: [],
+    goals: [],
+    ballsNeeded: null,
+    checkpoints: [],
+    reached: [],
+    keys: [],
+    switches: [],
+    doors: [],
+    teleporters: [],
+    collected: [],
+    channels: [],
+    balls: [],
+    gravity: 9.81,
+    wallBrake: 0.6,
+    rubbing: 0.015,
+    status: "playing",
+    levelPeriod,
+    playTime: 0,
+    levelTime: levelPeriod,
+    pausedAt: null,
+  };
+}
+
+export function setLevel(sim, level, resolved) {
+  sim.width = level.width;
+  sim.height = level.height;
+  sim.layers = level.layers ?? 1;
+  sim.layerHeight = level.layerHeight ?? level.height;
+  sim.cells = level.cells.map((column) => column.slice(0, level.height));
+  sim.surfaces = sim.cells.map((column, x) => column.map((_, y) => level.surfaces?.[x]?.[y] ?? ""));
+  sim.starts = resolved.starts.map((start) => ({ ...start }));
+  sim.goals = resolved.goals.map((goal) => ({ ...goal }));
+  sim.ballsNeeded = resolved.ballsNeeded ?? null;
+  sim.checkpoints = (resolved.checkpoints ?? []).map((checkpoint) => ({ ...checkpoint }));
+  sim.keys = (level.keys ?? []).map((key) => ({ ...key }));
+  sim.switches = (level.switches ?? []).map((switchCell) => ({ ...switchCell }));
+  sim.doors = (level.doors ?? []).map((door) => ({ ...door }));
+  sim.teleporters = (level.teleporters ?? []).map((teleporter) => ({ ...teleporter }));
+  sim.balls = sim.starts.map((start) => createBall(start, null));
+  clearCheckpoints(sim);
+  resetLinks(sim);
+}
+
+export function clearCheckpoints(sim) {
+  sim.reached = sim.checkpoints.map(() => false);
+  sim.balls.forEach((ball) => {
+    ball.checkpoint = null;
+  });
+}
+
+export function resetLinks(sim) {
+  sim.collected = sim.keys.map(() => false);
+  sim.channels = Array.from({ length: channelCount }, () => false);
+}
+
+export function loadLevelText(sim, text, entry = {}, name = "level") {
+  const level = parseLevel(text);
+  const resolved = resolveLevel(level, entry);
+  const errors = [...level.errors, ...resolved.errors];
+  if (errors.length > 0) {
+    const err = errors[0];
+    throw new Error(`${name}:${err.line}:${err.column}: ${err.message}`);
+  }
+  setLevel(sim, level, resolved);
+  sim.levelPeriod = entry.time ?? levelPeriod;
+}
+
+function createBall(start, checkpoint) {
+  const cell = checkpoint ?? start;
+  const x = cell.x * plateLength + plateLength / 2;
+  const z = cell.y * plateLength + plateLength / 2;
+  return {
+    start,
+    checkpoint,
+    x,
+    z,
+    prevX: x,
+    prevZ: z,
+    speedX: 0,
+    speedZ: 0,
+    accX: 0,
+    accZ: 0,
+    cellX: cell.x,
+    cellZ: cell.y,
+    status: "playing",
+    fallPhase: "roll",
+    fallStart: 0,
+    dropStart: -Infinity,
+    rollFromX: 0,
+    rollFromZ: 0,
+    rollTargetX: 0,
+    rollTargetZ: 0,
+  };
+}
+
+export function resetBall(sim) {
+  sim.balls = sim.starts.map((start, index) => createBall(start, sim.balls[index]?.checkpoint ?? null));
+  sim.status = "playing";
+}
+
+export function ballsToWin(sim) {
+  return Math.min(sim.balls.length, sim.ballsNeeded ?? sim.balls.length);
+}
+
+export function leadBall(sim) {
+  return sim.balls.find((ball) => ball.status === "playing") ?? sim.balls[0];
+}
+
+export function startLevel(sim) {
+  clearCheckpoints(sim);
+  resetLinks(sim);
+  resetBall(sim);
+  sim.playTime = 0;
+  sim.levelTime = sim.levelPeriod;
+  sim.pausedAt = null;
+}
+
+export function pauseSim(sim) {
+  if (sim.pausedAt === null) {
+    sim.pausedAt = sim.now();
+  }
+}
+
+export function resumeSim(sim) {
+  if (sim.pausedAt === null) {
+    return;
+  }
+  const paused = sim.now() - sim.pausedAt;
+  sim.balls.forEach((ball) => {
+    ball.fallStart += paused;
+    ball.dropStart += paused;
+  });
+  sim.pausedAt = null;
+}
+
+export function fieldAt(sim, x, y) {
+  return sim.cells[x]?.[y] ?? " ";
+}
+
+export function surfaceAt(sim, x, y) {
+  return surfacePhysics[sim.surfaces[x]?.[y]] ?? null;
+}
+
+function floatModulo(numerator, denominator) {
+  let v = numerator;
+  while (v >= denominator) {
+    v -= denominator;
+  }
+  return v;
+}
+
+export function ballLayer(sim, ball) {
+  return rowLayer(sim, Math.floor(ball.z / plateLength));
+}
+
+export function holeTest(sim, x, z) {
+  const f = fieldAt(sim, Math.floor(x / plateLength), Math.floor(z / plateLength));
+  return fieldHole(f, floatModulo(x, plateLength), floatModulo(z, plateLength));
+}
+
+export function isGoalCell(sim, x, y) {
+  return sim.goals.some((goal) => goal.x === x && goal.y === y);
+}
+
+export function keysCollected(sim) {
+  return sim.collected.every(Boolean);
+}
+
+export function goalTest(sim, x, z) {
+  return isGoalCell(sim, Math.floor(x / plateLength), Math.floor(z / plateLength)) && keysCollected(sim);
+}
+
+export function doorOpen(sim, x, y) {
+  const door = sim.doors.find((item) => item.x === x && item.y === y);
+  return door ? sim.channels[door.channel] : false;
+}
+
+function teleport(sim, ball, teleporter) {
+  const partner = sim.teleporters.find((other) => other !== teleporter && other.channel === teleporter.channel);
+  if (!partner) {
+    return false;
+  }
+  ball.x = partner.x * plateLength + plateLength / 2;
+  ball.z = partner.y * plateLength + plateLength / 2;
+  ball.prevX = ball.x;
+  ball.prevZ = ball.z;
+  ball.cellX = partner.x;
+  ball.cellZ = partner.y;
+  const exit = exitDirections[partner.exit];
+  if (exit) {
+    const speed = Math.sqrt(ball.speedX * ball.speedX + ball.speedZ * ball.speedZ);
+    ball.speedX = exit.x * speed;
+    ball.speedZ = exit.z * speed;
+  }
+  return true;
+}
+
+function cellTest(sim, ball) {
+  const x = Math.floor(ball.x / plateLength);
+  const y = Math.floor(ball.z / plateLength);
+  if (x === ball.cellX && y === ball.cellZ) {
+    return null;
+  }
+  ball.cellX = x;
+  ball.cellZ = y;
+  const at = (item) => item.x === x && item.y === y;
+  let event = null;
+  const key = sim.keys.findIndex(at);
+  if (key >= 0 && !sim.collected[key]) {
+    sim.collected[key] = true;
+    event = "key";
+  }
+  const teleporter = sim.teleporters.find(at);
+  if (teleporter && teleport(sim, ball, teleporter)) {
+    event = event ?? "teleport";
+  }
+  return event;
+}
+
+export function checkpointIndex(sim, x, y) {
+  return sim.checkpoints.findIndex((checkpoint) => checkpoint.x === x && checkpoint.y === y);
+}
+
+function checkpointTest(sim, ball) {
+  const index = checkpointIndex(sim, Math.floor(ball.x / plateLength), Math.floor(ball.z / plateLength));
+  if (index < 0 || ball.checkpoint === sim.checkpoints[index]) {
+    return false;
+  }
+  sim.reached[index] = true;
+  ball.checkpoint = sim.checkpoints[index];
+  return true;
+}
+
+function startBallFall(sim, ball) {
+  const ix = Math.floor(ball.x / plateLength);
+  const iz = Math.floor(ball.z / plateLength);
+  ball.rollFromX = ball.x;
+  ball.rollFromZ = ball.z;
+  ball.rollTargetX = ix * plateLength + plateLength / 2;
+  ball.rollTargetZ = iz * plateLength + plateLength / 2;
+  ball.speedX = 0;
+  ball.speedZ = 0;
+  ball.accX = 0;
+  ball.accZ = 0;
+  ball.status = "falling";
+  ball.fallStart = sim.now();
+  ball.fallPhase = "roll";
+}
+
+function dropBall(sim, ball) {
+  ball.z += sim.layerHeight * plateLength;
+  ball.prevX = ball.x;
+  ball.prevZ = ball.z;
+  ball.speedX *= landingBrake;
+  ball.speedZ *= landingBrake;
+  ball.dropStart = sim.now();
+}
+
+function fallIntoHole(sim, ball) {
+  const iz = Math.floor(ball.z / plateLength);
+  if (fieldAt(sim, Math.floor(ball.x / plateLength), iz) === "+" && rowLayer(sim, iz) < sim.layers - 1) {
+    dropBall(sim, ball);
+    return "layer";
+  }
+  startBallFall(sim, ball);
+  return "drop";
+}
+
+export function landingProgress(sim, ball) {
+  return Math.min(1, Math.max(0, (sim.now() - ball.dropStart) / layerDropDuration));
+}
+
+function wallBoxes(sim, layer, minX, minZ, maxX, maxZ) {
+  const boxes = [];
+  for (let ix = Math.floor(minX / plateLength); ix <= Math.floor(maxX / plateLength); ix += 1) {
+    for (let iz = Math.floor(minZ / plateLength); iz <= Math.floor(maxZ / plateLength); iz += 1) {
+      if (rowLayer(sim, iz) !== layer) {
+        const x0 = ix * plateLength;
+        const z0 = iz * plateLength;
+        boxes.push({ wallBrake: sim.wallBrake, kick: 0, x0, z0, x1: x0 + plateLength, z1: z0 + plateLength });
+        continue;
+      }
+      if (doorOpen(sim, ix, iz)) {
+        continue;
+      }
+      const surface = surfaceAt(sim, ix, iz);
+      const wallBrake = surface?.wallBrake ?? sim.wallBrake;
+      const kick = surface?.kick ?? 0;
+      fieldWalls(fieldAt(sim, ix, iz)).forEach((w) => {
+        boxes.push({
+          wallBrake,
+          kick,
+          x0: ix * plateLength + w.x0,
+          z0: iz * plateLength + w.z0,
+          x1: ix * plateLength + w.x1,
+          z1: iz * plateLength + w.z1,
+        });
+      });
+    }
+  }
+  return boxes;
+}
+
+function wallShapes(sim, layer, minX, minZ, maxX, maxZ) {
+  const shapes = [];
+  for (let ix = Math.floor(minX / plateLength); ix <= Math.floor(maxX / plateLength); ix += 1) {
+    for (let iz = Math.floor(minZ / plateLength); iz <= Math.floor(maxZ / plateLength); iz += 1) {
+      if (rowLayer(sim, iz) !== layer || doorOpen(sim, ix, iz)) {
+        continue;
+      }
+      const surface = surfaceAt(sim, ix, iz);
+      const wallBrake = surface?.wallBrake ?? sim.wallBrake;
+      const kick = surface?.kick ?? 0;
+      fieldShapes(fieldAt(sim, ix, iz)).forEach((shape) => {
+        shapes.push({ ...offsetShape(shape, ix * plateLength, iz * plateLength), wallBrake, kick });
+      });
+    }
+  }
+  return shapes;
+}
+
+function cornerCovered(boxes, box, x, z) {
+  const eps = 1e-6;
+  const covered = (px, pz) =>
+    boxes.some((other) => other !== box && px >= other.x0 && px <= other.x1 && pz >= other.z0 && pz <= other.z1);
+  return covered(x === box.x1 ? x + eps : x - eps, z) || covered(x, z === box.z1 ? z + eps : z - eps);
+}
+
+function sweepBox(boxes, box, px, pz, dx, dz) {
+  let tEnter = -Infinity;
+  let tExit = Infinity;
+  let nx = 0;
+  let nz = 0;
+  const slabs = [
+    [px, dx, box.x0 - ballRad, box.x1 + ballRad, 1, 0],
+    [pz, dz, box.z0 - ballRad, box.z1 + ballRad, 0, 1],
+  ];
+  for (const [p, d, min, max, ax, az] of slabs) {
+    if (d === 0) {
+      if (p < min || p > max) {
+        return null;
+      }
+      continue;
+    }
+    const t1 = (min - p) / d;
+    const t2 = (max - p) / d;
+    if (Math.min(t1, t2) > tEnter) {
+      tEnter = Math.min(t1, t2);
+      nx = d > 0 ? -ax : ax;
+      nz = d > 0 ? -az : az;
+    }
+    tExit = Math.min(tExit, Math.max(t1, t2));
+  }
+  if (tEnter > tExit || tEnter > 1 || tExit < 0) {
+    return null;
+  }
+
+  const hx = px + dx * Math.max(0, tEnter);
+  const hz = pz + dz * Math.max(0, tEnter);
+  const cx = hx < box.x0 ? box.x0 : hx > box.x1 ? box.x1 : null;
+  const cz = hz < box.z0 ? box.z0 : hz > box.z1 ? box.z1 : null;
+  if (cx === null || cz === null) {
+    return tEnter >= 0 ? { t: tEnter, nx, nz } : null;
+  }
+  if (cornerCovered(boxes, box, cx, cz)) {
+    return null;
+  }
+
+  const mx = px - cx;
+  const mz = pz - cz;
+  const a = dx * dx + dz * dz;
+  const b = 2 * (mx * dx + mz * dz);
+  const c = mx * mx + mz * mz - ballRad * ballRad;
+  const disc = b * b - 4 * a * c;
+  if (c < 0 || disc < 0) {
+    return null;
+  }
+  const t = (-b - Math.sqrt(disc)) / (2 * a);
+  if (t < 0 || t > 1) {
+    return null;
+  }
+  return { t, nx: (mx + dx * t) / ballRad, nz: (mz + dz * t) / ballRad };
+}
+
+function bounce(ball, nx, nz, wall) {
+  const vn = ball.speedX * nx + ball.speedZ * nz;
+  if (vn >= 0) {
+    return;
+  }
+  let out = -vn * Math.min(1, wall.wallBrake);
+  if (wall.kick > 0 && -vn > StopSpeed) {
+    out = Math.max(out, wall.kick);
+  }
+  const newVn = out < StopSpeed ? 0 : out;
+  ball.speedX += (newVn - vn) * nx;
+  ball.speedZ += (newVn - vn) * nz;
+  const speed = Math.sqrt(ball.speedX * ball.speedX + ball.speedZ * ball.speedZ);
+  if (speed > maxSpeed) {
+    ball.speedX *= maxSpeed / speed;
+    ball.speedZ *= maxSpeed / speed;
+  }
+}
+
+function separateBall(ball, boxes) {
+  boxes.forEach((box) => {
+    const nearX = Math.min(box.x1, Math.max(box.x0, ball.x));
+    const nearZ = Math.min(box.z1, Math.max(box.z0, ball.z));
+    let nx = ball.x - nearX;
+    let nz = ball.z - nearZ;
+    const dist = Math.sqrt(nx * nx + nz * nz);
+    if (dist >= ballRad) {
+      return;
+    }
+    let depth = ballRad - dist;
+    if (dist > 0) {
+      nx /= dist;
+      nz /= dist;
+    } else {
+      const exits = [
+        { d: ball.x - box.x0, nx: -1, nz: 0 },
+        { d: box.x1 - ball.x, nx: 1, nz: 0 },
+        { d: ball.z - box.z0, nx: 0, nz: -1 },
+        { d: box.z1 - ball.z, nx: 0, nz: 1 },
+      ];
+      const exit = exits.reduce((a, b) => (b.d < a.d ? b : a));
+      nx = exit.nx;
+      nz = exit.nz;
+      depth = exit.d + ballRad;
+    }
+    ball.x += nx * (depth + contactGap);
+    ball.z += nz * (depth + contactGap);
+    bounce(ball, nx, nz, box);
+  });
+}
+
+function separateShapes(ball, shapes) {
+  shapes.forEach((shape) => {
+    const near = shapeNearest(shape, ball.x, ball.z);
+    const dx = ball.x - near.x;
+    const dz = ball.z - near.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const reach = ballRad + shape.radius;
+    if (dist >= reach || dist === 0) {
+      return;
+    }
+    const nx = dx / dist;
+    const nz = dz / dist;
+    ball.x += nx * (reach - dist + contactGap);
+    ball.z += nz * (reach - dist + contactGap);
+    bounce(ball, nx, nz, shape);
+  });
+}
+
+function moveBall(sim, ball, dt) {
+  const layer = ballLayer(sim, ball);
+  const distance = Math.sqrt(ball.speedX * ball.speedX + ball.speedZ * ball.speedZ) * dt;
+  const steps = Math.min(maxSubsteps, Math.max(1, Math.ceil(distance / (ballRad / 2))));
+  for (let step = 0; step < steps; step += 1) {
+    let remaining = 1 / steps;
+    for (let i = 0; i < maxBounces && remaining > 0; i += 1) {
+      const dx = ball.speedX * remaining * dt;
+      const dz = ball.speedZ * remaining * dt;
+      const boxes = wallBoxes(
+        sim,
+        layer,
+        Math.min(ball.x, ball.x + dx) - ballRad,
+        Math.min(ball.z, ball.z + dz) - ballRad,
+        Math.max(ball.x, ball.x + dx) + ballRad,
+        Math.max(ball.z, ball.z + dz) + ballRad
+      );
+      separateBall(ball, boxes);
+      let hit = null;
+      boxes.forEach((box) => {
+        const h = sweepBox(boxes, box, ball.x, ball.z, dx, dz);
+        if (h && (!hit || h.t < hit.t)) {
+          hit = { ...h, wall: box };
+        }
+      });
+      if (!hit) {
+        ball.x += dx;
+        ball.z += dz;
+        break;
+      }
+      ball.x += dx * hit.t + hit.nx * contactGap;
+      ball.z += dz * hit.t + hit.nz * contactGap;
+      remaining *= 1 - hit.t;
+      bounce(ball, hit.nx, hit.nz, hit.wall);
+    }
+    const reach = ballRad + wallWidth;
+    separateShapes(ball, wallShapes(sim, layer, ball.x - reach, ball.z - reach, ball.x + reach, ball.z + reach));
+    if (holeTest(sim, ball.x, ball.z)) {
+      return fallIntoHole(sim, ball);
+    }
+  }
+  return null;
+}
+
+function applyRubbing(sim, ball, dt, normalG) {
+  const speed = Math.sqrt(ball.speedX * ball.speedX + ball.speedZ * ball.speedZ);
+  const surface = surfaceAt(sim, Math.floor(ball.x / plateLength), Math.floor(ball.z / plateLength));
+  const decel = (surface?.rubbing ?? sim.rubbing) * normalG * dt;
+  if (speed <= decel) {
+    ball.speedX = 0;
+    ball.speedZ = 0;
+    return;
+  }
+  const scale = (speed - decel) / speed;
+  ball.speedX *= scale;
+  ball.speedZ *= scale;
+}
+
+function newKoord(sim, ball, input, dt) {
+  const tiltX = (input.angleX * Math.PI) / 180;
+  const tiltZ = (input.angleZ * Math.PI) / 180;
+  ball.accX = -Math.sin(tiltZ) * sim.gravity * rollFactor;
+  ball.accZ = Math.sin(tiltX) * sim.gravity * rollFactor;
+
+  ball.speedX += ball.accX * dt;
+  ball.speedZ += ball.accZ * dt;
+  applyRubbing(sim, ball, dt, sim.gravity * Math.cos(tiltX) * Math.cos(tiltZ));
+
+  return moveBall(sim, ball, dt);
+}
+
+function stepBall(sim, ball, input, dt) {
+  ball.prevX = ball.x;
+  ball.prevZ = ball.z;
+  if (holeTest(sim, ball.x, ball.z)) {
+    return fallIntoHole(sim, ball);
+  }
+
+  const moved = newKoord(sim, ball, input, dt);
+  if (ball.status === "falling") {
+    return "drop";
+  }
+
+  const event = cellTest(sim, ball) ?? moved;
+  if (goalTest(sim, ball.x, ball.z)) {
+    ball.status = "home";
+    ball.speedX = 0;
+    ball.speedZ = 0;
+    return "home";
+  }
+  if (checkpointTest(sim, ball)) {
+    return "checkpoint";
+  }
+  return event;
+}
+
+function pressSwitches(sim) {
+  const pressed = Array.from({ length: channelCount }, () => false);
+  sim.balls
+    .filter((ball) => ball.status === "playing")
+    .forEach((ball) => {
+      const x = Math.floor(ball.x / plateLength);
+      const y = Math.floor(ball.z / plateLength);
+      sim.switches
+        .filter((switchCell) => switchCell.x === x && switchCell.y === y)
+        .forEach((switchCell) => {
+          pressed[switchCell.channel] = true;
+        });
+    });
+  const changed = pressed.some((on, channel) => on !== sim.channels[channel]);
+  sim.channels = pressed;
+  return changed;
+}
+
+function collideBalls(sim) {
+  const balls = sim.balls.filter((ball) => ball.status === "playing");
+  for (let i = 0; i < balls.length; i += 1) {
+    for (let j = i + 1; j < balls.length; j += 1) {
+      const a = balls[i];
+      const b = balls[j];
+      let nx = b.x - a.x;
+      let nz = b.z - a.z;
+      const dist = Math.sqrt(nx * nx + nz * nz);
+      if (dist >= 2 * ballRad) {
+        continue;
+      }
+      if (dist > 0) {
+        nx /= dist;
+        nz /= dist;
+      } else {
+        nx = 1;
+        nz = 0;
+      }
+      const push = (2 * ballRad - dist) / 2 + contactGap;
+      a.x -= nx * push;
+      a.z -= nz * push;
+      b.x += nx * push;
+      b.z += nz * push;
+      const vn = (b.speedX - a.speedX) * nx + (b.speedZ - a.speedZ) * nz;
+      if (vn < 0) {
+        a.speedX += vn * nx;
+        a.speedZ += vn * nz;
+        b.speedX -= vn * nx;
+        b.speedZ -= vn * nz;
+      }
+    }
+  }
+}
+
+export function stepSim(sim, input, dt) {
+  if (sim.status !== "playing") {
+    return null;
+  }
+  let event = null;
+  sim.balls.forEach((ball) => {
+    if (ball.status === "playing") {
+      const ballEvent = stepBall(sim, ball, input, dt);
+      event = event ?? ballEvent;
+    }
+  });
+  collideBalls(sim);
+  if (pressSwitches(sim)) {
+    event = event ?? "switch";
+  }
+
+  sim.playTime += dt;
+  sim.levelTime = Math.max(0, Math.floor(sim.levelPeriod - sim.playTime));
+
+  const home = sim.balls.filter((ball) => ball.status === "home").length;
+  const playing = sim.balls.filter((ball) => ball.status === "playing").length;
+  if (home >= ballsToWin(sim)) {
+    sim.status = "goal";
+    return "goal";
+  }
+  if (home + playing < ballsToWin(sim)) {
+    sim.status = "falling";
+    return "fall";
+  }
+  if (sim.levelTime <= 0) {
+    sim.status = "timeout";
+    return "timeout";
+  }
+  return event;
+}
+
+export function dropProgress(sim, ball) {
+  if (ball.fallPhase !== "drop") {
+    return 0;
+  }
+  const t = Math.min(1, Math.max(0, (sim.now() - ball.fallStart) / fallDuration));
+  return t * t * (3 - 2 * t);
+}
+
+function updateBallFall(ball, nowSec) {
+  const elapsed = nowSec - ball.fallStart;
+  if (ball.fallPhase === "roll") {
+    const rollT = Math.min(1, Math.max(0, elapsed / rollDuration));
+    const ease = rollT * rollT * (3 - 2 * rollT);
+    ball.x = ball.rollFromX + (ball.rollTargetX - ball.rollFromX) * ease;
+    ball.z = ball.rollFromZ + (ball.rollTargetZ - ball.rollFromZ) * ease;
+    ball.prevX = ball.x;
+    ball.prevZ = ball.z;
+    if (rollT >= 1) {
+      ball.fallPhase = "drop";
+      ball.fallStart = nowSec;
+    }
+  } else if (elapsed >= fallDuration + fallEndWait) {
+    ball.status = "fallen";
+  }
+}
+
+export function updateSim(sim) {
+  const nowSec = sim.now();
+  sim.balls.forEach((ball) => {
+    if (ball.status === "falling") {
+      updateBallFall(ball, nowSec);
+    }
+  });
+  if (sim.status === "falling" && !sim.balls.some((ball) => ball.status === "falling")) {
+    sim.status = "fallen";
+    return "fallen";
+  }
+  return null;
+}
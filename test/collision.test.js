@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ballRad, wallWidth } from "../level.js";
+import { leadBall } from "../sim.js";
+import { playLevel, run } from "./helpers.js";
+
+test("a tangent ball rolls along a wall made of several cells", () => {
+  const game = playLevel("Suuuuuuuu\n.........\n", { goals: [[0, 1]] });
+  const ball = leadBall(game.sim);
+  run(game, { angleX: 0, angleZ: -10 }, 480);
+  assert.ok(ball.x > 6, `stuck at x=${ball.x.toFixed(3)}`);
+  assert.ok(ball.z < 0.6, `left the wall at z=${ball.z.toFixed(3)}`);
+});
+
+test("a tangent ball rolls along a vertical wall made of several cells", () => {
+  const game = playLevel("Sl.\nl.\nl.\nl.\nl.\nl.\nl.\nl.\n", { goals: [[1, 0]] });
+  const ball = leadBall(game.sim);
+  run(game, { angleX: 10, angleZ: 0 }, 480);
+  assert.ok(ball.z > 6, `stuck at z=${ball.z.toFixed(3)}`);
+});
+
+test("a fast ball does not tunnel through a thin wall", () => {
+  const game = playLevel("S.r..\n.....\n", { goals: [[0, 1]] });
+  const ball = leadBall(game.sim);
+  ball.speedX = 200;
+  run(game, { angleX: 0, angleZ: -20 }, 120);
+  assert.ok(ball.x < 3 - 0.25, `passed the wall at x=${ball.x.toFixed(3)}`);
+});
+
+test("a fast ball stays clear of the outer corner of an L-shaped wall", () => {
+  const distance = (ball) => {
+    const boxes = [
+      { x0: 1, z0: 2 - wallWidth, x1: 2, z1: 2 },
+      { x0: 2 - wallWidth, z0: 1, x1: 2, z1: 2 },
+    ];
+    return Math.min(
+      ...boxes.map((box) => {
+        const dx = ball.x - Math.min(Math.max(ball.x, box.x0), box.x1);
+        const dz = ball.z - Math.min(Math.max(ball.z, box.z0), box.z1);
+        return Math.sqrt(dx * dx + dz * dz);
+      })
+    );
+  };
+  [
+    [-8.5, -8.5],
+    [-11, -5],
+    [-5, -11],
+  ].forEach(([speedX, speedZ]) => {
+    const game = playLevel("...\n.e.\n..S.\n", { goals: [[0, 0]] });
+    const ball = leadBall(game.sim);
+    ball.speedX = speedX;
+    ball.speedZ = speedZ;
+    let closest = Infinity;
+    for (let tick = 0; tick < 60; tick += 1) {
+      run(game, { angleX: 0, angleZ: 0 }, 1);
+      closest = Math.min(closest, distance(ball));
+    }
+    assert.ok(closest >= ballRad - 1e-6, `came within ${closest.toFixed(3)} of the corner`);
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateMaze } from "../generator.js";
+import { fieldSides, goalReachable } from "../level.js";
+
+const holeCount = (maze) => maze.cells.flat().filter((field) => field === "*").length;
+
+test("places holes on walled cells to reach the requested density", () => {
+  for (let seed = 0; seed < 5; seed += 1) {
+    const maze = generateMaze({ width: 20, height: 20, holeDensity: 0.3, seed: `dense${seed}` });
+    assert.ok(holeCount(maze) / 400 > 0.15, `seed ${seed} has ${holeCount(maze)} holes`);
+    assert.ok(goalReachable(maze, maze.start, maze.goals));
+  }
+});
+
+test("keeps the maze open when holes move walls", () => {
+  const plain = generateMaze({ width: 12, height: 12, holeDensity: 0, seed: "walls" });
+  const holed = generateMaze({ width: 12, height: 12, holeDensity: 0.4, seed: "walls" });
+  const openings = (maze, x, y) => {
+    const sides = fieldSides(maze.cells[x][y]);
+    const right = x + 1 < maze.width ? sides.right || fieldSides(maze.cells[x + 1][y]).left : true;
+    const down = y + 1 < maze.height ? sides.down || fieldSides(maze.cells[x][y + 1]).up : true;
+    return [right, down];
+  };
+  for (let x = 0; x < 12; x += 1) {
+    for (let y = 0; y < 12; y += 1) {
+      if (plain.cells[x][y] !== "*" && holed.cells[x][y] !== "*") {
+        assert.deepEqual(openings(holed, x, y), openings(plain, x, y), `cell ${x},${y}`);
+      }
+    }
+  }
+});
+
+test("generates the same maze for the same seed", () => {
+  const options = { width: 15, height: 10, holeDensity: 0.2, seed: "same" };
+  assert.deepEqual(generateMaze(options).cells, generateMaze(options).cells);
+});
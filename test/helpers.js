@@ -0,0 +1,22 @@
+import { createSim, loadLevelText, startLevel, stepSim, updateSim } from "../sim.js";
+
+export function playLevel(text, entry = {}) {
+  const clock = { time: 0 };
+  const sim = createSim({ now: () => clock.time });
+  loadLevelText(sim, text, entry, "test");
+  startLevel(sim);
+  return { sim, clock };
+}
+
+export function run({ sim, clock }, input, ticks, rate = 120) {
+  const events = [];
+  for (let tick = 0; tick < ticks && sim.status === "playing"; tick += 1) {
+    const event = stepSim(sim, input, 1 / rate);
+    clock.time += 1 / rate;
+    updateSim(sim);
+    if (event) {
+      events.push(event);
+    }
+  }
+  return events;
+}
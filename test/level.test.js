@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLevel, resolveLevel, validateLevel } from "../level.js";
+
+const messages = (items) => items.map((item) => item.message);
+
+test("parses cells, start and goal", () => {
+  const level = parseLevel("S.u\n*Gr\n");
+  assert.equal(level.width, 2);
+  assert.equal(level.height, 2);
+  assert.deepEqual(level.start, { x: 0, y: 0 });
+  assert.deepEqual(level.goals, [{ x: 1, y: 1 }]);
+  assert.equal(level.cells[1][0], "u");
+  assert.equal(level.cells[0][1], "*");
+  assert.deepEqual(level.errors, []);
+});
+
+test("reports invalid chars with line and column", () => {
+  const level = parseLevel("..\n.x\n");
+  assert.deepEqual(level.errors, [{ line: 2, column: 2, message: "Invalid char 'x'" }]);
+});
+
+test("reports markers without a field", () => {
+  assert.deepEqual(messages(parseLevel("..S\n").errors), ["Marker 'S' without field"]);
+});
+
+test("reports duplicate markers", () => {
+  assert.deepEqual(messages(parseLevel("SS.\n").errors), ["Duplicate marker 'S'"]);
+});
+
+test("reports channel markers without a digit", () => {
+  assert.deepEqual(messages(parseLevel("X.\n").errors), ["Marker 'X' without channel digit"]);
+});
+
+test("reports unpaired teleporters", () => {
+  assert.deepEqual(messages(parseLevel("T1..\n").errors), ["Teleporter channel 1 has 1 end(s), expected 2"]);
+});
+
+test("rejects door and bumper markers on hole fields", () => {
+  assert.deepEqual(messages(parseLevel("D1*X1.\n").errors), ["Wall marker 'D1' on hole field '*'"]);
+  assert.deepEqual(messages(parseLevel("..B+\n").errors), ["Wall marker 'B' on hole field '+'"]);
+  assert.deepEqual(parseLevel("D1oX1.B/\n").errors, []);
+});
+
+test("reports layers of different height", () => {
+  assert.deepEqual(messages(parseLevel("..\n=\n..\n..\n").errors), ["Layer 2 has 2 rows, expected 1"]);
+});
+
+test("warns about ragged rows", () => {
+  assert.deepEqual(messages(parseLevel("...\n..\n").warnings), ["Ragged row: 2 fields, expected 3"]);
+});
+
+test("rejects start and goal cells outside the level", () => {
+  const level = parseLevel("..\n..\n");
+  const resolved = resolveLevel(level, { start: [5, 0], goals: [[0, 9]] });
+  assert.deepEqual(messages(resolved.errors), ["Start cell 5,0 outside the level", "Goal cell 0,9 outside the level"]);
+});
+
+test("rejects more needed balls than starts", () => {
+  const resolved = resolveLevel(parseLevel("S.G.\n"), { balls: 2 });
+  assert.deepEqual(messages(resolved.errors), ["Level needs 2 ball(s) but starts 1"]);
+});
+
+test("rejects levels without a reachable goal", () => {
+  assert.deepEqual(messages(validateLevel("S.*G.\n").errors), ["No goal is reachable from the start"]);
+  assert.deepEqual(validateLevel("S..G.\n").errors, []);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ghostFromTrace, ghostsKey, loadGhosts, saveGhosts } from "../progress.js";
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+function sampleTrace() {
+  const positions = [];
+  for (let tick = 0; tick < 480; tick += 1) {
+    positions.push([tick / 100 + 0.0001, 1.23456]);
+  }
+  return { stepRate: 120, positions, cellTicks: new Map([["0,0", 0], ["1,0", 100]]), result: "goal", time: 4 };
+}
+
+test("compacts a trace to a ghost at a lower rate", () => {
+  const ghost = ghostFromTrace(sampleTrace());
+  assert.equal(ghost.stepRate, 30);
+  assert.equal(ghost.positions.length, 120);
+  assert.deepEqual(ghost.positions[1], [0.04, 1.23]);
+  assert.deepEqual(ghost.cellTicks, { "0,0": 0, "1,0": 25 });
+  assert.equal(ghost.time, 4);
+});
+
+test("round-trips ghosts through storage", () => {
+  const storage = memoryStorage();
+  const ghosts = { "pack:levels.json:3": ghostFromTrace(sampleTrace()) };
+  assert.equal(saveGhosts(storage, ghosts), true);
+  assert.deepEqual(loadGhosts(storage), ghosts);
+});
+
+test("drops malformed stored ghosts", () => {
+  const storage = memoryStorage();
+  storage.setItem(ghostsKey, JSON.stringify({ good: ghostFromTrace(sampleTrace()), bad: { time: "x" } }));
+  assert.deepEqual(Object.keys(loadGhosts(storage)), ["good"]);
+  storage.setItem(ghostsKey, "{broken");
+  assert.deepEqual(loadGhosts(storage), {});
+});
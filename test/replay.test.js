@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createSim, loadLevelText, resetBall, startLevel, stepSim, updateSim } from "../sim.js";
+import {
+  createRecording,
+  finishRecording,
+  parseRecording,
+  recordTick,
+  serializeRecording,
+  simulateRecording,
+} from "../replay.js";
+
+const stepRate = 120;
+const verifyScript = fileURLToPath(new URL("../verify.js", import.meta.url));
+
+function recordRun(text, time, inputAt) {
+  const clock = { time: 0 };
+  const sim = createSim({ now: () => clock.time });
+  loadLevelText(sim, text, { time });
+  startLevel(sim);
+  const recording = createRecording(sim, { level: 1, stepRate });
+  const events = [];
+  let tick = 0;
+  while (!recording.result) {
+    const input = inputAt(tick);
+    recordTick(recording, input);
+    const event = stepSim(sim, input, 1 / stepRate);
+    clock.time += 1 / stepRate;
+    tick += 1;
+    if (event === "fall") {
+      events.push(event);
+      while (updateSim(sim) !== "fallen") {
+        clock.time += 0.25;
+      }
+      resetBall(sim);
+    } else if (event === "goal" || event === "timeout") {
+      events.push(event);
+      finishRecording(recording, event);
+    }
+  }
+  return { recording, events };
+}
+
+function verify(file) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [verifyScript, file], (err, stdout) => resolve({ code: err?.code ?? 0, stdout }));
+  });
+}
+
+test("a run with a fall and a timeout resimulates exactly", async () => {
+  const { recording, events } = recordRun("S..*.\n.....\n", 4, (tick) =>
+    tick < 120 ? { angleX: 0, angleZ: -10 } : { angleX: 0, angleZ: 0 }
+  );
+  assert.deepEqual(events, ["fall", "timeout"]);
+
+  const copy = parseRecording(serializeRecording(recording));
+  const run = simulateRecording(copy);
+  assert.equal(run.result, "timeout");
+  assert.equal(run.ticks, recording.angles.length);
+
+  const dir = await mkdtemp(join(tmpdir(), "kugellaby-"));
+  const file = join(dir, "fall-timeout.json");
+  await writeFile(file, serializeRecording(recording));
+  const result = await verify(file);
+  await rm(dir, { recursive: true });
+  assert.equal(result.code, 0, result.stdout);
+  assert.match(result.stdout, /timeout after/);
+});
+
+test("a tampered run fails verification", async () => {
+  const { recording } = recordRun("S..*.\n.....\n", 4, (tick) =>
+    tick < 120 ? { angleX: 0, angleZ: -10 } : { angleX: 0, angleZ: 0 }
+  );
+  recording.result = "goal";
+  const run = simulateRecording(parseRecording(serializeRecording(recording)));
+  assert.notEqual(run.result, recording.result);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { defaultSettings, loadSettings, queryOverrides, saveSettings } from "../settings.js";
+
+function memoryStorage(text = null) {
+  const items = new Map(text === null ? [] : [["kugellaby.settings", text]]);
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+test("loads defaults without stored settings", () => {
+  assert.deepEqual(loadSettings(memoryStorage()), defaultSettings);
+});
+
+test("clamps stored values to sane ranges", () => {
+  const stored = { stepRate: -5, lives: 0, fovy: 500, gravity: 1e9, elasticity: 3, eye: { x: 0, y: -4, z: 0 } };
+  const settings = loadSettings(memoryStorage(JSON.stringify(stored)));
+  assert.equal(settings.stepRate, 25);
+  assert.equal(settings.lives, 1);
+  assert.equal(settings.fovy, 120);
+  assert.equal(settings.gravity, 100);
+  assert.equal(settings.elasticity, 1);
+  assert.deepEqual(settings.eye, { x: 0, y: 0.5, z: 0.1 });
+});
+
+test("round-trips saved settings", () => {
+  const storage = memoryStorage();
+  const settings = { ...defaultSettings, stepRate: 240, lives: 5 };
+  assert.equal(saveSettings(storage, settings), true);
+  assert.deepEqual(loadSettings(storage), settings);
+});
+
+test("accepts the slowest physics rate offered in the menu", () => {
+  const storage = memoryStorage(JSON.stringify({ stepRate: 25 }));
+  assert.equal(loadSettings(storage).stepRate, 25);
+  assert.equal(queryOverrides("?rate=25", defaultSettings).settings.stepRate, 25);
+});
+
+test("applies valid query overrides", () => {
+  const query = queryOverrides("?gravity=25&rate=240&lives=5&level=3&cam=dynamic", defaultSettings);
+  assert.equal(query.settings.gravity, 25);
+  assert.equal(query.settings.stepRate, 240);
+  assert.equal(query.settings.lives, 5);
+  assert.equal(query.settings.dynamicCamMode, true);
+  assert.deepEqual(query.physics, { gravity: 25 });
+  assert.equal(query.level, 3);
+});
+
+test("rejects out-of-range query values", () => {
+  const query = queryOverrides("?rate=-5&lives=0&fovy=1000&gravity=0&eye=0,-1,0&tilt=999,0", defaultSettings);
+  assert.equal(query.settings.stepRate, defaultSettings.stepRate);
+  assert.equal(query.settings.lives, defaultSettings.lives);
+  assert.equal(query.settings.fovy, defaultSettings.fovy);
+  assert.equal(query.settings.gravity, defaultSettings.gravity);
+  assert.deepEqual(query.settings.eye, defaultSettings.eye);
+  assert.deepEqual(query.settings.tiltBaseline, defaultSettings.tiltBaseline);
+  assert.deepEqual(query.physics, {});
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ballRad, wallWidth, fieldSides } from "../level.js";
+import { leadBall, pauseSim, resumeSim, stepSim, updateSim } from "../sim.js";
+import { playLevel, run } from "./helpers.js";
+
+const tilts = {
+  up: { angleX: -10, angleZ: 0 },
+  down: { angleX: 10, angleZ: 0 },
+  left: { angleX: 0, angleZ: 10 },
+  right: { angleX: 0, angleZ: -10 },
+};
+
+function insideCell(ball, side) {
+  const min = 1 + wallWidth + ballRad - 1e-6;
+  const max = 2 - wallWidth - ballRad + 1e-6;
+  switch (side) {
+    case "up":
+      return ball.z >= min;
+    case "down":
+      return ball.z <= max;
+    case "left":
+      return ball.x >= min;
+    default:
+      return ball.x <= max;
+  }
+}
+
+["u", "d", "l", "r", "a", "b", "c", "e"].forEach((letter) => {
+  test(`wall letter '${letter}' stops the ball on its sides only`, () => {
+    const sides = fieldSides(letter);
+    Object.keys(tilts).forEach((side) => {
+      const game = playLevel(`...\n.S${letter}.\n...\n`, { goals: [[0, 0]] });
+      run(game, tilts[side], 240);
+      const ball = leadBall(game.sim);
+      assert.equal(insideCell(ball, side), sides[side], `${letter} ${side}`);
+    });
+  });
+});
+
+test("a hole captures the ball", () => {
+  const game = playLevel("S..*.\n");
+  const events = run(game, tilts.right, 600);
+  assert.equal(events.at(-1), "fall");
+  assert.equal(game.sim.status, "falling");
+  assert.equal(leadBall(game.sim).status, "falling");
+});
+
+test("the fall ends after the drop animation", () => {
+  const game = playLevel("S..*.\n");
+  run(game, tilts.right, 600);
+  let event = null;
+  for (let tick = 0; tick < 1200 && !event; tick += 1) {
+    game.clock.time += 1 / 120;
+    event = updateSim(game.sim);
+  }
+  assert.equal(event, "fallen");
+});
+
+test("the goal is detected", () => {
+  const game = playLevel("S...G..\n");
+  const events = run(game, tilts.right, 600);
+  assert.equal(events.at(-1), "goal");
+  assert.equal(game.sim.status, "goal");
+});
+
+test("a ball at home leaves the board to the other balls", () => {
+  const game = playLevel("S.S.G.\n", { balls: 2 });
+  assert.deepEqual(run(game, tilts.right, 600), ["home", "goal"]);
+  assert.deepEqual(game.sim.balls.map((ball) => ball.status), ["home", "home"]);
+});
+
+test("the ball does not reach the goal behind a wall", () => {
+  const game = playLevel("S.r.G.\n");
+  const events = run(game, tilts.right, 600);
+  assert.ok(!events.includes("goal"));
+  assert.equal(game.sim.status, "playing");
+});
+
+test("the level timer counts simulated ticks", () => {
+  const game = playLevel("S...G..\n", { time: 3 });
+  const level = { angleX: 0, angleZ: 0 };
+  let ticks = 0;
+  let event = null;
+  while (!event && ticks < 1000) {
+    event = stepSim(game.sim, level, 1 / 120);
+    ticks += 1;
+    game.clock.time += 10;
+    event = event ?? updateSim(game.sim);
+  }
+  assert.equal(event, "timeout");
+  assert.equal(ticks, 241);
+  assert.equal(game.sim.levelTime, 0);
+});
+
+test("the level timer stands still while the game is paused", () => {
+  const game = playLevel("S...G..\n", { time: 3 });
+  run(game, { angleX: 0, angleZ: 0 }, 120);
+  pauseSim(game.sim);
+  game.clock.time += 100;
+  resumeSim(game.sim);
+  assert.equal(updateSim(game.sim), null);
+  assert.equal(game.sim.levelTime, 2);
+});
+
+test("a door closes again when the ball leaves its switch", () => {
+  const game = playLevel("SX1.D1r.G.\n");
+  assert.deepEqual(run(game, tilts.right, 600), ["switch", "switch"]);
+  assert.equal(game.sim.channels[1], false);
+  assert.equal(game.sim.status, "playing");
+});
+
+test("a door stays open while a ball holds its switch", () => {
+  const game = playLevel("SX1dSD1d\n.G.\n", { balls: 1 });
+  assert.deepEqual(run(game, tilts.down, 600), ["switch", "goal"]);
+  assert.equal(game.sim.channels[1], true);
+});
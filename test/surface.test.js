@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { leadBall } from "../sim.js";
+import { playLevel, run } from "./helpers.js";
+
+const level = { angleX: 0, angleZ: 0 };
+const speedOf = (ball) => Math.sqrt(ball.speedX * ball.speedX + ball.speedZ * ball.speedZ);
+
+test("a ball trapped between two bumpers keeps a bounded speed", () => {
+  const game = playLevel("BlS.Br\n...\n", { goals: [[1, 1]] });
+  const ball = leadBall(game.sim);
+  ball.speedX = 5.9;
+  let fastest = 0;
+  for (let tick = 0; tick < 1200; tick += 1) {
+    run(game, level, 1);
+    fastest = Math.max(fastest, speedOf(ball));
+  }
+  assert.ok(fastest <= 5.9 + 1e-9, `fastest ${fastest}`);
+  assert.ok(ball.x > 0 && ball.x < 3);
+});
+
+test("a bumper kicks a slow ball back out", () => {
+  const game = playLevel("BlS.Br\n...\n", { goals: [[1, 1]] });
+  const ball = leadBall(game.sim);
+  ball.speedX = -1.5;
+  run(game, level, 120);
+  assert.ok(Math.abs(ball.speedX) > 2, `speed ${ball.speedX}`);
+});
+
+test("ice walls bounce less than a full restitution", () => {
+  const game = playLevel("IlS.Ir\n...\n", { goals: [[1, 1]] });
+  const ball = leadBall(game.sim);
+  ball.speedX = -4;
+  run(game, level, 60);
+  assert.ok(speedOf(ball) < 4);
+});
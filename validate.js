@@ -0,0 +1,81 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { validateLevel } from "./level.js";
+
+async function levelText(entry, baseDir) {
+  if (entry.grid != null) {
+    return Array.isArray(entry.grid) ? entry.grid.join("\n") : String(entry.grid);
+  }
+  if (!entry.file) {
+    throw new Error("Level entry has neither file nor grid.");
+  }
+  return readFile(path.join(baseDir, entry.file), "utf8");
+}
+
+async function levelEntries(name) {
+  if (!name.endsWith(".json")) {
+    return { baseDir: path.dirname(name), entries: [{ file: path.basename(name) }] };
+  }
+  const pack = JSON.parse(await readFile(name, "utf8"));
+  if (!pack || !Array.isArray(pack.levels)) {
+    throw new Error("Level pack has no levels array.");
+  }
+  return { baseDir: path.dirname(name), entries: pack.levels };
+}
+
+function report(where, kind, item) {
+  const pos = item.line > 0 ? `:${item.line}:${item.column}` : "";
+  console.log(`${where}${pos}: ${kind}: ${item.message}`);
+}
+
+async function validate(name) {
+  let errorCount = 0;
+  let warningCount = 0;
+  let pack;
+  try {
+    pack = await levelEntries(name);
+  } catch (err) {
+    report(name, "error", { line: 0, message: err.message });
+    return { errorCount: 1, warningCount };
+  }
+
+  for (let i = 0; i < pack.entries.length; i += 1) {
+    const entry = pack.entries[i];
+    const where = entry.file ? path.join(pack.baseDir, entry.file) : `${name}#${i + 1}`;
+    let text;
+    try {
+      text = await levelText(entry, pack.baseDir);
+    } catch (err) {
+      report(where, "error", { line: 0, message: err.message });
+      errorCount += 1;
+      continue;
+    }
+    const result = validateLevel(text, entry);
+    result.errors.forEach((err) => report(where, "error", err));
+    result.warnings.forEach((warning) => report(where, "warning", warning));
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+  }
+  return { errorCount, warningCount };
+}
+
+async function main() {
+  const names = process.argv.slice(2);
+  if (names.length === 0) {
+    names.push("levels.json");
+  }
+  let errorCount = 0;
+  let warningCount = 0;
+  for (const name of names) {
+    const result = await validate(name);
+    errorCount += result.errorCount;
+    warningCount += result.warningCount;
+  }
+  console.log(`${errorCount} error(s), ${warningCount} warning(s)`);
+  process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
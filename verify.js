@@ -0,0 +1,45 @@
+import { readFile } from "node:fs/promises";
+import { parseRecording, recordingTime, simulateRecording } from "./replay.js";
+
+async function verify(name) {
+  let recording;
+  try {
+    recording = parseRecording(await readFile(name, "utf8"));
+  } catch (err) {
+    console.log(`${name}: error: ${err.message}`);
+    return false;
+  }
+  const run = simulateRecording(recording);
+  const where = `${name}: level ${recording.level}${recording.title ? ` (${recording.title})` : ""}`;
+  if (run.result !== recording.result || run.ticks !== recording.angles.length) {
+    console.log(
+      `${where}: error: recorded ${recording.result} after ${recordingTime(recording).toFixed(3)} s, ` +
+        `replayed ${run.result} after ${run.time.toFixed(3)} s`
+    );
+    return false;
+  }
+  console.log(`${where}: ${run.result} after ${run.time.toFixed(3)} s (${run.ticks} ticks at ${recording.stepRate} Hz)`);
+  return true;
+}
+
+async function main() {
+  const names = process.argv.slice(2);
+  if (names.length === 0) {
+    console.log("usage: node verify.js replay.json ...");
+    process.exitCode = 1;
+    return;
+  }
+  let failed = 0;
+  for (const name of names) {
+    if (!(await verify(name))) {
+      failed += 1;
+    }
+  }
+  console.log(`${names.length - failed} of ${names.length} replay(s) verified`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});